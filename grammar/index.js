@@ -0,0 +1,258 @@
+var fs = require('fs');
+var path = require('path');
+
+// A page grammar (grammar/default.json) is a set of rules; each rule is a list of
+// weighted alternatives, and an alternative's template is a list of items:
+//
+//   "sentence"                       another rule
+//   {"clause": ["adjective"]}        a clause built by the locale's grammar, with the listed
+//                                    optional slots (adjective, adverb) filled
+//   {"word": "noun"}                 a single word: noun, verb, adjective or adverb
+//   {"conj": "because"}              one of the locale's conjunctions
+//   {"text": "..."}                  literal text
+//
+// Items are joined with spaces (none before punctuation). The page uses the rules
+// "title", "sentence" and "block"; an alternative of "block" is a paragraph (with
+// "sentences": {min, max}), a heading, a quote, or a list (with "items": {min, max}).
+// Expansion never nests deeper than maxDepth: at the limit only alternatives that
+// can finish in the remaining depth are picked.
+var PARTS = ['noun', 'verb', 'adjective', 'adverb'];
+var SLOTS = ['adjective', 'adverb'];
+var BLOCK_TYPES = ['paragraph', 'heading', 'quote', 'list'];
+var REQUIRED_RULES = ['title', 'sentence', 'block'];
+var DEFAULT_MAX_DEPTH = 8;
+
+// Rule names are looked up on plain objects, so only own keys count ("constructor" is not a rule)
+function hasRule(rules, name) {
+  return Object.prototype.hasOwnProperty.call(rules, name);
+}
+
+function isRange(range) {
+  return range && Number.isInteger(range.min) && Number.isInteger(range.max) &&
+    range.min >= 0 && range.max >= range.min;
+}
+
+function validateItem(item, where, rules, conjunctions) {
+  if (typeof item === 'string') {
+    if (!hasRule(rules, item)) throw new Error(where + ': unknown rule "' + item + '"');
+    return;
+  }
+  if (!item || typeof item !== 'object') throw new Error(where + ': must be a rule name or an object');
+
+  var keys = Object.keys(item);
+  if (keys.length !== 1) throw new Error(where + ': must have exactly one of clause, word, conj, text');
+
+  var value = item[keys[0]];
+  switch (keys[0]) {
+    case 'clause':
+      if (!Array.isArray(value) || value.some(function(slot) { return SLOTS.indexOf(slot) === -1; })) {
+        throw new Error(where + ': clause takes a list of ' + SLOTS.join(', '));
+      }
+      return;
+    case 'word':
+      if (PARTS.indexOf(value) === -1) throw new Error(where + ': word must be one of ' + PARTS.join(', '));
+      return;
+    case 'conj':
+      if (conjunctions.indexOf(value) === -1) {
+        throw new Error(where + ': conj must be one of ' + conjunctions.join(', '));
+      }
+      return;
+    case 'text':
+      if (typeof value !== 'string') throw new Error(where + ': text must be a string');
+      return;
+    default:
+      throw new Error(where + ': unknown item "' + keys[0] + '"');
+  }
+}
+
+function validateAlternative(alternative, where, rules, conjunctions, isBlock) {
+  if (!alternative || typeof alternative !== 'object') throw new Error(where + ': must be an object');
+  if (alternative.weight !== undefined && !(typeof alternative.weight === 'number' && alternative.weight > 0)) {
+    throw new Error(where + ': weight must be a positive number');
+  }
+
+  if (isBlock) {
+    var type = alternative.type || 'paragraph';
+    if (BLOCK_TYPES.indexOf(type) === -1) throw new Error(where + ': type must be one of ' + BLOCK_TYPES.join(', '));
+    if (type === 'paragraph') {
+      if (!isRange(alternative.sentences) || alternative.sentences.min < 1) {
+        throw new Error(where + ': a paragraph needs "sentences": {min, max} with min >= 1');
+      }
+      return;
+    }
+    if (type === 'list' && (!isRange(alternative.items) || alternative.items.min < 1)) {
+      throw new Error(where + ': a list needs "items": {min, max} with min >= 1');
+    }
+  }
+
+  if (!Array.isArray(alternative.template) || !alternative.template.length) {
+    throw new Error(where + ': template must be a non-empty list');
+  }
+  alternative.template.forEach(function(item, i) {
+    validateItem(item, where + '.template[' + i + ']', rules, conjunctions);
+  });
+}
+
+// The fewest levels each alternative needs to finish; Infinity if it can only recurse.
+// Paragraphs expand "sentence", so they count as one level above it.
+function computeHeights(rules) {
+  var heights = {};
+  Object.keys(rules).forEach(function(name) { heights[name] = Infinity; });
+
+  function heightOf(alternative) {
+    var refs = alternative.template ? alternative.template.filter(function(item) { return typeof item === 'string'; }) : [];
+    if ((alternative.type || 'paragraph') === 'paragraph' && !alternative.template) refs = ['sentence'];
+    return refs.reduce(function(height, ref) { return Math.max(height, heights[ref] + 1); }, 0);
+  }
+
+  for (var changed = true; changed;) {
+    changed = false;
+    Object.keys(rules).forEach(function(name) {
+      var height = Math.min.apply(null, rules[name].map(heightOf));
+      if (height < heights[name]) {
+        heights[name] = height;
+        changed = true;
+      }
+    });
+  }
+
+  return {rule: heights, alternative: heightOf};
+}
+
+// Throws an Error describing the first problem; `conjunctions` are the names
+// every locale defines (see locales/index.js).
+function validateGrammar(grammar, conjunctions) {
+  if (!grammar || typeof grammar !== 'object' || !grammar.rules || typeof grammar.rules !== 'object') {
+    throw new Error('grammar must be an object with "rules"');
+  }
+  var maxDepth = grammar.maxDepth === undefined ? DEFAULT_MAX_DEPTH : grammar.maxDepth;
+  if (!Number.isInteger(maxDepth) || maxDepth < 1) throw new Error('maxDepth must be a positive integer');
+
+  var rules = grammar.rules;
+  REQUIRED_RULES.forEach(function(name) {
+    if (!hasRule(rules, name)) throw new Error('rule "' + name + '" is required');
+  });
+  Object.keys(rules).forEach(function(name) {
+    if (!Array.isArray(rules[name]) || !rules[name].length) {
+      throw new Error('rules.' + name + ' must be a non-empty list of alternatives');
+    }
+    rules[name].forEach(function(alternative, i) {
+      validateAlternative(alternative, 'rules.' + name + '[' + i + ']', rules, conjunctions, name === 'block');
+    });
+  });
+
+  var heights = computeHeights(rules);
+  Object.keys(rules).forEach(function(name) {
+    if (heights.rule[name] === Infinity) throw new Error('rule "' + name + '" never stops recursing');
+    if (heights.rule[name] > maxDepth) {
+      throw new Error('rule "' + name + '" needs ' + heights.rule[name] + ' levels, more than maxDepth ' + maxDepth);
+    }
+  });
+
+  return {maxDepth: maxDepth, rules: rules, heights: heights};
+}
+
+function loadGrammar(file, conjunctions) {
+  var grammar;
+  try {
+    grammar = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (err) {
+    throw new Error(path.basename(file) + ': ' + err.message);
+  }
+  try {
+    return createGrammar(validateGrammar(grammar, conjunctions));
+  } catch (err) {
+    err.message = path.basename(file) + ': ' + err.message;
+    throw err;
+  }
+}
+
+function between(generator, range) {
+  return range.min + Math.floor(generator.random() * (range.max - range.min + 1));
+}
+
+function createGrammar(validated) {
+  var rules = validated.rules;
+  var heights = validated.heights;
+
+  // Weighted choice; a single candidate is taken without a draw
+  function choose(generator, name, depth) {
+    var candidates = rules[name].filter(function(alternative) {
+      return heights.alternative(alternative) <= validated.maxDepth - depth;
+    });
+    if (candidates.length === 1) return candidates[0];
+
+    var total = candidates.reduce(function(sum, alternative) { return sum + (alternative.weight || 1); }, 0);
+    var target = generator.random() * total;
+    for (var i = 0; i < candidates.length; i++) {
+      target -= candidates[i].weight || 1;
+      if (target < 0) return candidates[i];
+    }
+    return candidates[candidates.length - 1];
+  }
+
+  function expandItem(generator, locale, item, depth) {
+    if (typeof item === 'string') return expandRule(generator, locale, item, depth + 1);
+    if (item.text !== undefined) return item.text;
+    if (item.conj !== undefined) return locale.grammar.conjunctions[item.conj].trim();
+    if (item.word !== undefined) return locale.randomWord(generator, item.word).text;
+    return locale.randomClause(generator, item.clause);
+  }
+
+  function expandTemplate(generator, locale, template, depth) {
+    return template.map(function(item) {
+      return expandItem(generator, locale, item, depth);
+    }).join(' ').replace(/ +([,.;:!?])/g, '$1');
+  }
+
+  function expandRule(generator, locale, name, depth) {
+    return expandTemplate(generator, locale, choose(generator, name, depth).template, depth);
+  }
+
+  function sentence(generator, locale) {
+    return locale.grammar.capitalize(expandRule(generator, locale, 'sentence', 0));
+  }
+
+  // {type, text} or {type: "list", items}; `sentences` fixes a paragraph's length
+  function block(generator, locale, sentences) {
+    var alternative = choose(generator, 'block', 0);
+    var type = alternative.type || 'paragraph';
+
+    if (type === 'paragraph') {
+      var count = sentences === undefined ? between(generator, alternative.sentences) : sentences;
+      var paragraph = [];
+      for (var i = 0; i < count; i++) {
+        paragraph[i] = sentence(generator, locale);
+      }
+      return {type: type, text: paragraph.join('. ') + '.'};
+    }
+
+    var expand = function() {
+      return locale.grammar.capitalize(expandTemplate(generator, locale, alternative.template, 0));
+    };
+    if (type === 'list') {
+      var items = [];
+      var itemCount = between(generator, alternative.items);
+      for (var j = 0; j < itemCount; j++) {
+        items[j] = expand();
+      }
+      return {type: type, items: items};
+    }
+    return {type: type, text: expand()};
+  }
+
+  return {
+    title: function(generator, locale) {
+      return locale.grammar.capitalize(expandRule(generator, locale, 'title', 0));
+    },
+    sentence: sentence,
+    block: block,
+    rules: Object.keys(rules)
+  };
+}
+
+module.exports = {
+  loadGrammar: loadGrammar,
+  validateGrammar: validateGrammar,
+  PARTS: PARTS
+};
@@ -0,0 +1,77 @@
+// harness/fakeAva.js
+// Fake AVA (or any destination): records every request it receives and checks its
+// X-Pushy-Signature with the consumer-side verifier (lib/webhookSignature.js).
+const express = require("express");
+const { verifyWebhook } = require("../lib/webhookSignature");
+
+function createFakeAva({ secret = null } = {}) {
+  const app = express();
+  const received = []; // { path, headers, body, verified: { ok, reason } | null, at }
+  const waiters = [];
+  let status = 200;
+  let server = null;
+
+  app.post("*", express.raw({ type: () => true, limit: "5mb" }), (req, res) => {
+    const raw = req.body.toString("utf8");
+    let body = raw;
+    try {
+      body = JSON.parse(raw);
+    } catch (err) {
+      // Not JSON (e.g. a transform produced text); keep it as a string
+    }
+
+    const request = {
+      path: req.path,
+      headers: req.headers,
+      body,
+      verified: secret ? verifyWebhook({ secret, body: req.body, headers: req.headers }) : null,
+      at: new Date().toISOString()
+    };
+    received.push(request);
+    for (const waiter of waiters.slice()) {
+      if (waiter.predicate(request)) waiter.resolve(request);
+    }
+    res.status(status).send(status < 400 ? "ok" : "failing");
+  });
+
+  // Answer every following request with this status (e.g. 500 to exercise retries)
+  function setStatus(code) {
+    status = code;
+  }
+
+  // Resolves with the first request (already received or still to come) matching predicate
+  function waitFor(predicate = () => true, timeoutMs = 5000) {
+    const seen = received.find(predicate);
+    if (seen) return Promise.resolve(seen);
+
+    return new Promise((resolve, reject) => {
+      const waiter = { predicate, resolve: null };
+      const timer = setTimeout(() => {
+        waiters.splice(waiters.indexOf(waiter), 1);
+        reject(new Error(`No matching request within ${timeoutMs}ms`));
+      }, timeoutMs);
+      waiter.resolve = (request) => {
+        clearTimeout(timer);
+        waiters.splice(waiters.indexOf(waiter), 1);
+        resolve(request);
+      };
+      waiters.push(waiter);
+    });
+  }
+
+  // Resolves with the base URL
+  function listen(port = 0) {
+    return new Promise((resolve, reject) => {
+      server = app.listen(port, "127.0.0.1", () => resolve(`http://127.0.0.1:${server.address().port}`));
+      server.once("error", reject);
+    });
+  }
+
+  function close() {
+    return new Promise((resolve) => (server ? server.close(() => resolve()) : resolve()));
+  }
+
+  return { listen, close, setStatus, waitFor, received };
+}
+
+module.exports = { createFakeAva };
@@ -0,0 +1,99 @@
+// harness/fakePodio.js
+// Fake Podio API (for PODIO_API_BASE): OAuth tokens, object reads and the rate-limit
+// headers, with switches to make it fail (420/429 rate limits, errors) or revoke its tokens.
+//
+//   POST /oauth/token   grant_type "app" or "client_credentials"; returns a fresh token
+//   GET  /<type>/<id>   the object stored with put(), or a generated one; 401 without a live token
+const express = require("express");
+
+function createFakePodio({ clientId = "harness-client", clientSecret = "harness-client-secret", expiresIn = 28800 } = {}) {
+  const app = express();
+  const requests = []; // { method, path, grantType, at }
+  const tokens = new Set();
+  const objects = new Map(); // path -> body
+  let rateLimit = { limit: 5000, remaining: 5000 };
+  const failures = []; // queued { status, headers } answers for the next reads
+  let issued = 0;
+  let server = null;
+
+  app.post("/oauth/token", express.urlencoded({ extended: false }), (req, res) => {
+    const { grant_type: grantType, client_id: id, client_secret: secret } = req.body;
+    requests.push({ method: "POST", path: req.path, grantType, at: new Date().toISOString() });
+    if (id !== clientId || secret !== clientSecret) return res.status(401).json({ error: "invalid_client" });
+    if (grantType === "app" && !(req.body.app_id && req.body.app_token)) return res.status(400).json({ error: "invalid_request" });
+
+    const token = `token-${++issued}`;
+    tokens.add(token);
+    return res.json({ access_token: token, token_type: "bearer", expires_in: expiresIn });
+  });
+
+  app.get("/:type/:id", (req, res) => {
+    requests.push({ method: "GET", path: req.path, at: new Date().toISOString() });
+    const token = (req.get("authorization") || "").replace(/^OAuth2 /, "");
+    if (!tokens.has(token)) return res.status(401).json({ error: "invalid_token" });
+
+    const failure = failures.shift();
+    if (failure) return res.status(failure.status).set(failure.headers).json({ error: `fake ${failure.status}` });
+
+    if (rateLimit.remaining > 0) rateLimit.remaining--;
+    res.set({ "X-Rate-Limit-Limit": String(rateLimit.limit), "X-Rate-Limit-Remaining": String(rateLimit.remaining) });
+    const { type, id } = req.params;
+    return res.json(objects.get(req.path) || { [`${type}_id`]: Number(id), title: `${type} ${id}` });
+  });
+
+  // Body to answer GET `path` with
+  function put(path, body) {
+    objects.set(path, body);
+  }
+
+  // Answer the next read(s) with `status`, e.g. failNext(420, { "Retry-After": "1" }) or failNext(500)
+  function failNext(status, headers = {}, times = 1) {
+    for (let i = 0; i < times; i++) failures.push({ status, headers });
+  }
+
+  // Set the budget reported in X-Rate-Limit-*; every successful read uses one call
+  function setRateLimit(limit, remaining = limit) {
+    rateLimit = { limit, remaining };
+  }
+
+  // Invalidate every token handed out so far (the next read gets 401)
+  function revokeTokens() {
+    tokens.clear();
+  }
+
+  function reads(path) {
+    return requests.filter((r) => r.method === "GET" && (!path || r.path === path)).length;
+  }
+
+  function tokenRequests() {
+    return requests.filter((r) => r.path === "/oauth/token");
+  }
+
+  // Resolves with the base URL
+  function listen(port = 0) {
+    return new Promise((resolve, reject) => {
+      server = app.listen(port, "127.0.0.1", () => resolve(`http://127.0.0.1:${server.address().port}`));
+      server.once("error", reject);
+    });
+  }
+
+  function close() {
+    return new Promise((resolve) => (server ? server.close(() => resolve()) : resolve()));
+  }
+
+  return {
+    listen,
+    close,
+    put,
+    failNext,
+    setRateLimit,
+    revokeTokens,
+    reads,
+    tokenRequests,
+    requests,
+    clientId,
+    clientSecret
+  };
+}
+
+module.exports = { createFakePodio };
@@ -0,0 +1,76 @@
+// harness/fayeServer.js
+// Local Bayeux server standing in for https://push.podio.com/faye.
+//
+// Like Podio's, it only accepts a /meta/subscribe whose ext.private_pub_signature
+// matches the channel; credentialsFor(channel) hands out valid ones (the object
+// Podio returns as `push` on an item/task). Every subscribe attempt is recorded.
+const http = require("http");
+const crypto = require("crypto");
+const faye = require("faye");
+
+function createFayeServer({ secret = "harness", mount = "/faye" } = {}) {
+  const bayeux = new faye.NodeAdapter({ mount, timeout: 10 });
+  const server = http.createServer();
+  const subscriptions = []; // { channel, accepted, at }
+  const clients = new Set(); // connected Bayeux client ids
+  let url = null;
+
+  function signatureFor(channel, timestamp) {
+    return crypto.createHmac("sha1", secret).update(`${channel}:${timestamp}`).digest("hex");
+  }
+
+  bayeux.addExtension({
+    incoming(message, callback) {
+      if (message.channel === "/meta/subscribe") {
+        const { private_pub_signature: signature, private_pub_timestamp: timestamp } = message.ext || {};
+        const accepted = Boolean(signature) && signature === signatureFor(message.subscription, timestamp);
+        subscriptions.push({ channel: message.subscription, accepted, at: new Date().toISOString() });
+        if (!accepted) message.error = "403::Invalid signature";
+      }
+      callback(message);
+    }
+  });
+  bayeux.on("handshake", (clientId) => clients.add(clientId));
+  bayeux.on("disconnect", (clientId) => clients.delete(clientId));
+  bayeux.attach(server);
+
+  // Push credentials for a channel, shaped like Podio's `push` object
+  function credentialsFor(channel, { timestamp = Math.floor(Date.now() / 1000), expires_in = 21600 } = {}) {
+    return { channel, signature: signatureFor(channel, timestamp), timestamp, expires_in };
+  }
+
+  // Resolves with the endpoint URL (for PODIO_FAYE_ENDPOINT)
+  function listen(port = 0) {
+    return new Promise((resolve, reject) => {
+      server.once("error", reject);
+      server.listen(port, "127.0.0.1", () => {
+        url = `http://127.0.0.1:${server.address().port}${mount}`;
+        resolve(url);
+      });
+    });
+  }
+
+  // Publish a Podio-style event ({ event: "update", ... }) to every subscriber of `channel`
+  function publish(channel, data) {
+    return bayeux.getClient().publish(channel, data);
+  }
+
+  // Waits (up to graceMs) for connected clients to disconnect first: a client whose
+  // /meta/disconnect never gets an answer keeps retrying it, and keeps its process alive.
+  async function close({ graceMs = 2000 } = {}) {
+    bayeux.getClient().disconnect();
+    const deadline = Date.now() + graceMs;
+    while (clients.size > 0 && Date.now() < deadline) {
+      await new Promise((resolve) => setTimeout(resolve, 50));
+    }
+    bayeux.close();
+    return new Promise((resolve) => {
+      server.close(() => resolve());
+      server.closeAllConnections();
+    });
+  }
+
+  return { listen, publish, close, credentialsFor, subscriptions, clients: () => clients.size, url: () => url };
+}
+
+module.exports = { createFayeServer };
@@ -0,0 +1,117 @@
+// harness/index.js
+// Runs the whole bridge offline: a local Bayeux server in place of push.podio.com,
+// a fake Podio API, a fake AVA receiving the forwarded events, and the bridge itself
+// (lib/bridge.js) with its state in a temporary directory.
+//
+//   const harness = await startHarness();
+//   const channel = "/item/1";
+//   await axios.post(`${harness.bridgeUrl}/subscribe`, { push: harness.faye.credentialsFor(channel) },
+//     { headers: harness.authHeaders });
+//   await harness.faye.publish(channel, { event: "update", item_id: 1 });
+//   await harness.ava.waitFor((req) => req.body.object?.id === "1");
+//   await sendPush(`${harness.bridgeUrl}/podio/push`, { type: "item.update", item_id: 1 },
+//     { secret: harness.pushSecret });
+//   await harness.stop();
+//
+// `npm run harness` starts it standalone and prints the URLs and credentials.
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { createBridge } = require("../lib/bridge");
+const { createFayeServer } = require("./fayeServer");
+const { createFakeAva } = require("./fakeAva");
+const { createFakePodio } = require("./fakePodio");
+const { signPush, sendPush } = require("./signedPush");
+
+const PUSH_SECRET = "harness-push-secret";
+const SIGNING_SECRET = "harness-signing-secret";
+const ADMIN_TOKEN = "harness-admin-token";
+
+// `env` is merged over the harness defaults; `port` 0 picks a free port
+async function startHarness({ env = {}, port = 0, logLevel = "warn" } = {}) {
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "pushy-harness-"));
+  const faye = createFayeServer();
+  const ava = createFakeAva({ secret: SIGNING_SECRET });
+  const podio = createFakePodio();
+  const fayeUrl = await faye.listen();
+  const avaUrl = await ava.listen();
+  const podioUrl = await podio.listen();
+
+  const bridge = createBridge({
+    env: {
+      NODE_ENV: "test",
+      LOG_LEVEL: logLevel,
+      PODIO_FAYE_ENDPOINT: fayeUrl,
+      PODIO_API_BASE: podioUrl,
+      PODIO_CLIENT_ID: podio.clientId,
+      PODIO_CLIENT_SECRET: podio.clientSecret,
+      PODIO_PUSH_SECRET: PUSH_SECRET,
+      OUTBOUND_SIGNING_SECRET: SIGNING_SECRET,
+      ADMIN_TOKEN,
+      AVA_TOPIC_URL: `${avaUrl}/ava`,
+      DELIVERY_BASE_DELAY_MS: "100",
+      SUBS_STORE_PATH: path.join(dataDir, "subscriptions.json"),
+      DELIVERY_QUEUE_PATH: path.join(dataDir, "deliveries.json"),
+      DESTINATIONS_CONFIG: path.join(dataDir, "destinations.json"),
+      EVENT_JOURNAL_PATH: path.join(dataDir, "events.jsonl"),
+      API_KEYS_CONFIG: path.join(dataDir, "api-keys.json"),
+      COORDINATION_FILE: path.join(dataDir, "coordination.json"),
+      ...env
+    }
+  });
+  const server = await bridge.listen(port);
+  const bridgeUrl = `http://127.0.0.1:${server.address().port}`;
+
+  async function stop() {
+    await bridge.shutdown("harness");
+    await Promise.all([faye.close(), ava.close(), podio.close()]);
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  }
+
+  return {
+    bridge,
+    faye,
+    ava,
+    podio,
+    bridgeUrl,
+    fayeUrl,
+    avaUrl,
+    podioUrl,
+    dataDir,
+    pushSecret: PUSH_SECRET,
+    signingSecret: SIGNING_SECRET,
+    authHeaders: { Authorization: `Bearer ${ADMIN_TOKEN}` },
+    stop
+  };
+}
+
+module.exports = { startHarness, createFayeServer, createFakeAva, createFakePodio, signPush, sendPush };
+
+if (require.main === module) {
+  startHarness({ port: Number(process.env.PORT || 0), logLevel: process.env.LOG_LEVEL || "info" })
+    .then((harness) => {
+      console.log(
+        JSON.stringify(
+          {
+            bridge: harness.bridgeUrl,
+            faye: harness.fayeUrl,
+            ava: `${harness.avaUrl}/ava`,
+            podio: harness.podioUrl,
+            dataDir: harness.dataDir,
+            adminToken: ADMIN_TOKEN,
+            pushSecret: PUSH_SECRET,
+            exampleSubscribe: { push: harness.faye.credentialsFor("/item/1") }
+          },
+          null,
+          2
+        )
+      );
+      const stop = () => harness.stop().then(() => process.exit(0));
+      process.on("SIGTERM", stop);
+      process.on("SIGINT", stop);
+    })
+    .catch((err) => {
+      console.error(err);
+      process.exit(1);
+    });
+}
@@ -0,0 +1,33 @@
+// harness/signedPush.js
+// Generates Podio pushes for /podio/push, signed the way lib/podioSignature.js checks them
+// (X-Podio-Signature: hex HMAC-SHA1 of "<timestamp>.<nonce>.<raw body>", plus the
+// X-Podio-Timestamp and X-Podio-Nonce headers it covers).
+const crypto = require("crypto");
+const axios = require("axios");
+
+// Returns the exact body string and the headers to send with it
+function signPush({ payload, secret, timestamp = Math.floor(Date.now() / 1000), nonce = crypto.randomUUID() }) {
+  const body = typeof payload === "string" ? payload : JSON.stringify(payload);
+  const signature = crypto.createHmac("sha1", secret).update(`${timestamp}.${nonce}.${body}`).digest("hex");
+  return {
+    body,
+    headers: {
+      "Content-Type": "application/json",
+      "X-Podio-Signature": signature,
+      "X-Podio-Timestamp": String(timestamp),
+      "X-Podio-Nonce": nonce
+    }
+  };
+}
+
+// POST a signed push to `url` (the bridge's /podio/push). Never throws on HTTP errors;
+// check response.status. Pass secret: null to send it unsigned.
+async function sendPush(url, payload, { secret, ...options } = {}) {
+  const signed = secret ? signPush({ payload, secret, ...options }) : { body: JSON.stringify(payload), headers: {} };
+  return axios.post(url, signed.body, {
+    headers: { "Content-Type": "application/json", ...signed.headers },
+    validateStatus: () => true
+  });
+}
+
+module.exports = { signPush, sendPush };
@@ -0,0 +1,29 @@
+// lib/adminAuth.js
+// Guards admin endpoints with a shared token (ADMIN_TOKEN).
+// Accepts "Authorization: Bearer <token>" or "X-Admin-Token: <token>".
+const crypto = require("crypto");
+
+function safeEqual(a, b) {
+  const left = Buffer.from(String(a));
+  const right = Buffer.from(String(b));
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+function requireAdmin(adminToken) {
+  return function(req, res, next) {
+    if (!adminToken) {
+      return res.status(503).json({ error: "Admin API disabled (ADMIN_TOKEN not set)" });
+    }
+
+    const header = req.headers.authorization || "";
+    const presented = header.startsWith("Bearer ")
+      ? header.slice("Bearer ".length)
+      : req.headers["x-admin-token"];
+
+    if (!presented) return res.status(401).json({ error: "Missing admin token" });
+    if (!safeEqual(presented, adminToken)) return res.status(403).json({ error: "Invalid admin token" });
+    return next();
+  };
+}
+
+module.exports = { requireAdmin, safeEqual };
@@ -0,0 +1,150 @@
+// lib/apiKeys.js
+// API keys for the subscription management routes (POST /subscribe, POST /unsubscribe).
+//
+// Keys are loaded from a JSON or YAML file:
+//   keys:
+//     - id: ava
+//       key: "..."                 (or keySha256: "<hex>" to keep the plaintext out of the file)
+//       scopes: [subscribe, unsubscribe]
+//       requestsPerMinute: 60      (optional, unlimited when absent)
+//       maxSubscriptions: 500      (optional, active subscriptions opened by this key)
+// Scopes: "subscribe", "unsubscribe" (own subscriptions only), "unsubscribe:any", "*".
+// Accepts "Authorization: Bearer <key>" or "X-Api-Key: <key>".
+const fs = require("fs");
+const crypto = require("crypto");
+const yaml = require("js-yaml");
+const { safeEqual } = require("./adminAuth");
+
+class ApiKeyError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "ApiKeyError";
+  }
+}
+
+function sha256(value) {
+  return crypto.createHash("sha256").update(String(value)).digest("hex");
+}
+
+function normalizeKey(def) {
+  if (!def || typeof def !== "object") throw new ApiKeyError("API key must be an object");
+  if (!def.id) throw new ApiKeyError("API key id is required");
+  if (!def.key && !def.keySha256) throw new ApiKeyError(`API key ${def.id} needs key or keySha256`);
+
+  for (const field of ["requestsPerMinute", "maxSubscriptions"]) {
+    if (def[field] != null && !(Number(def[field]) >= 0)) {
+      throw new ApiKeyError(`API key ${def.id}: ${field} must be a non-negative number`);
+    }
+  }
+
+  return {
+    id: String(def.id),
+    hash: def.keySha256 ? String(def.keySha256).toLowerCase() : sha256(def.key),
+    scopes: Array.isArray(def.scopes) ? def.scopes.map(String) : [],
+    requestsPerMinute: def.requestsPerMinute == null ? null : Number(def.requestsPerMinute),
+    maxSubscriptions: def.maxSubscriptions == null ? null : Number(def.maxSubscriptions)
+  };
+}
+
+function hasScope(key, scope) {
+  return key.scopes.includes("*") || key.scopes.includes(scope);
+}
+
+// `extraKeys` are added to whatever the file holds (e.g. ADMIN_TOKEN as a "*" key). The
+// file wins on an id clash: the extra key is left out and reported to onExtraKeySkipped(id).
+function createApiKeyring({ file, extraKeys = [], onExtraKeySkipped = () => {} }) {
+  let keys = [];
+  // Token bucket per key id: { tokens, updatedAt }
+  const buckets = new Map();
+
+  async function load() {
+    let doc = {};
+    try {
+      const raw = await fs.promises.readFile(file, "utf8");
+      doc = /\.ya?ml$/i.test(file) ? yaml.load(raw) : JSON.parse(raw);
+    } catch (err) {
+      if (err.code !== "ENOENT") throw err;
+    }
+
+    const fileKeys = (doc?.keys || []).map(normalizeKey);
+    const ids = fileKeys.map((k) => k.id);
+    const duplicate = ids.find((id, i) => ids.indexOf(id) !== i);
+    if (duplicate) throw new ApiKeyError(`Duplicate API key id: ${duplicate}`);
+
+    const extra = extraKeys.map(normalizeKey).filter((key) => {
+      if (!ids.includes(key.id)) return true;
+      onExtraKeySkipped(key.id);
+      return false;
+    });
+    keys = [...fileKeys, ...extra];
+
+    buckets.clear();
+    return keys.map(({ id, scopes }) => ({ id, scopes }));
+  }
+
+  function authenticate(presented) {
+    const hash = sha256(presented);
+    // Compare against every key so timing doesn't reveal which one matched
+    return keys.reduce((found, key) => (safeEqual(hash, key.hash) ? key : found), null);
+  }
+
+  // Take one request from the key's bucket; refills continuously at requestsPerMinute
+  function take(key, now = Date.now()) {
+    if (key.requestsPerMinute === null) return { ok: true };
+
+    const capacity = key.requestsPerMinute;
+    const bucket = buckets.get(key.id) || { tokens: capacity, updatedAt: now };
+    bucket.tokens = Math.min(capacity, bucket.tokens + ((now - bucket.updatedAt) / 60000) * capacity);
+    bucket.updatedAt = now;
+    buckets.set(key.id, bucket);
+
+    if (bucket.tokens >= 1) {
+      bucket.tokens -= 1;
+      return { ok: true };
+    }
+    const retryAfterSeconds = capacity > 0 ? Math.ceil(((1 - bucket.tokens) / capacity) * 60) : 60;
+    return { ok: false, retryAfterSeconds };
+  }
+
+  return { file, load, authenticate, take, size: () => keys.length };
+}
+
+// Express middleware: 503 without any keys, 401 missing/unknown key, 403 missing scope,
+// 429 over the key's request rate. Sets req.apiKey.
+function requireApiKey(keyring, scope) {
+  return function(req, res, next) {
+    if (!keyring.size()) {
+      return res.status(503).json({ error: "Subscription API disabled (no API keys configured)" });
+    }
+
+    const header = req.headers.authorization || "";
+    const presented = header.startsWith("Bearer ") ? header.slice("Bearer ".length) : req.headers["x-api-key"];
+
+    if (!presented) {
+      res.set("WWW-Authenticate", "Bearer");
+      return res.status(401).json({ error: "Missing API key" });
+    }
+
+    const key = keyring.authenticate(presented);
+    if (!key) {
+      res.set("WWW-Authenticate", 'Bearer error="invalid_token"');
+      return res.status(401).json({ error: "Invalid API key" });
+    }
+    if (!hasScope(key, scope)) {
+      return res.status(403).json({ error: `API key ${key.id} lacks the "${scope}" scope` });
+    }
+
+    const rate = keyring.take(key);
+    if (!rate.ok) {
+      res.set("Retry-After", String(rate.retryAfterSeconds));
+      return res.status(429).json({
+        error: `Rate limit exceeded for API key ${key.id} (${key.requestsPerMinute} requests per minute)`
+      });
+    }
+
+    req.apiKey = key;
+    return next();
+  };
+}
+
+module.exports = { createApiKeyring, requireApiKey, hasScope, ApiKeyError };
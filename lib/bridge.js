@@ -0,0 +1,983 @@
+// lib/bridge.js
+// The Podio -> AVA push bridge as an app factory. createBridge() wires every module
+// together from an environment (process.env by default) and returns the Express app
+// plus its lifecycle: listen() loads the persisted state, shutdown() drains it.
+// server.js runs one bridge; the harness (harness/) runs them in-process against local mocks.
+const express = require("express");
+const crypto = require("crypto");
+const path = require("path");
+const axios = require("axios");
+const { createSubscriptionStore, isExpired, expiresAt } = require("./subscriptionStore");
+const { createCoordinator, createCoordinationBackend } = require("./coordination");
+const { createExpirySweeper } = require("./expirySweeper");
+const { createPodioClient } = require("./podioClient");
+const { createEnricher } = require("./enricher");
+const { createDeliveryQueue, backoffDelay } = require("./deliveryQueue");
+const { requireAdmin } = require("./adminAuth");
+const { createApiKeyring, requireApiKey, hasScope } = require("./apiKeys");
+const { createDeliveriesRouter } = require("./routes/deliveries");
+const { createDestinationTable, requestHeaders, matches, DestinationError } = require("./destinations");
+const { createTransformer } = require("./transforms");
+const { createDestinationsRouter } = require("./routes/destinations");
+const { createSubscriptionsRouter } = require("./routes/subscriptions");
+const { signWebhook } = require("./webhookSignature");
+const { createPushVerifier } = require("./podioSignature");
+const { createFayePool, DEFAULT_ENDPOINT } = require("./fayePool");
+const { createMetrics } = require("./metrics");
+const { createLogger } = require("./logger");
+const { createEventJournal } = require("./eventJournal");
+const { createEventsRouter } = require("./routes/events");
+const { createDeduplicator, eventKey } = require("./dedupe");
+const { toEnvelope, podioChannelOf, EnvelopeError } = require("./envelope");
+
+// options.env replaces process.env; options.logger replaces the JSON logger
+function createBridge(options = {}) {
+  const env = options.env || process.env;
+
+  const app = express();
+  // Keep the exact request bytes around for signature verification
+  function keepRawBody(req, res, buf) {
+    req.rawBody = buf;
+  }
+  app.use(express.json({ limit: "2mb", verify: keepRawBody }));
+  app.use(express.urlencoded({ extended: false, limit: "2mb", verify: keepRawBody }));
+
+  // --------------------------------------------------
+  // Environment Variables
+  // --------------------------------------------------
+  const {
+    PODIO_CLIENT_ID,
+    PODIO_CLIENT_SECRET,
+    PODIO_APP_ID,
+    PODIO_APP_TOKEN,
+    PODIO_API_BASE,
+    PODIO_PUSH_SECRET,
+    PODIO_PUSH_SECRET_PREVIOUS,
+    PODIO_PUSH_ALLOW_BODY_SIGNATURE,
+    APP_BASE_URL,
+    AVA_TOPIC_URL,
+    DEBUG_WEBHOOK_URL,
+    NODE_ENV,
+    SUBS_RENEW,
+    PODIO_ENRICH,
+    ADMIN_TOKEN,
+    OUTBOUND_SIGNING_SECRET,
+    INSTANCE_ID
+  } = env;
+
+  const PORT = env.PORT || 8080;
+  const LOG_LEVEL = env.LOG_LEVEL || "info";
+  const SUBS_SWEEP_INTERVAL_SECONDS = Number(env.SUBS_SWEEP_INTERVAL_SECONDS || 60);
+  const SUBS_RENEW_BEFORE_SECONDS = Number(env.SUBS_RENEW_BEFORE_SECONDS || 300);
+  const DELIVERY_QUEUE_PATH = env.DELIVERY_QUEUE_PATH || "data/deliveries.json";
+  const DELIVERY_DEAD_LETTER_PATH = env.DELIVERY_DEAD_LETTER_PATH || DELIVERY_QUEUE_PATH.replace(/(\.json)?$/, ".dead.json");
+  const DELIVERY_DEAD_LETTER_MAX = Number(env.DELIVERY_DEAD_LETTER_MAX || 1000);
+  const DELIVERY_DEAD_LETTER_MAX_AGE_HOURS = Number(env.DELIVERY_DEAD_LETTER_MAX_AGE_HOURS || 7 * 24);
+  const DELIVERY_MAX_ATTEMPTS = Number(env.DELIVERY_MAX_ATTEMPTS || 8);
+  const DELIVERY_BASE_DELAY_MS = Number(env.DELIVERY_BASE_DELAY_MS || 1000);
+  const DELIVERY_MAX_DELAY_MS = Number(env.DELIVERY_MAX_DELAY_MS || 5 * 60 * 1000);
+  const PUSH_REPLAY_WINDOW_SECONDS = Number(env.PUSH_REPLAY_WINDOW_SECONDS || 300);
+  const DESTINATIONS_CONFIG = env.DESTINATIONS_CONFIG || "data/destinations.json";
+  const PLUGINS_DIR = env.PLUGINS_DIR || path.join(__dirname, "..", "plugins");
+  const PODIO_FAYE_ENDPOINT = env.PODIO_FAYE_ENDPOINT || DEFAULT_ENDPOINT;
+  const FAYE_POOL_MAX_CHANNELS = Number(env.FAYE_POOL_MAX_CHANNELS || 500);
+  const EVENT_JOURNAL_PATH = env.EVENT_JOURNAL_PATH || "data/events.jsonl";
+  const EVENT_JOURNAL_MAX_AGE_HOURS = Number(env.EVENT_JOURNAL_MAX_AGE_HOURS || 7 * 24);
+  const EVENT_JOURNAL_MAX_MB = Number(env.EVENT_JOURNAL_MAX_MB || 50);
+  const DEDUPE_WINDOW_SECONDS = Number(env.DEDUPE_WINDOW_SECONDS ?? 300);
+  const DEDUPE_UNIDENTIFIED_WINDOW_SECONDS = Number(env.DEDUPE_UNIDENTIFIED_WINDOW_SECONDS ?? 30);
+  const SUBS_MAX_RETRIES = Number(env.SUBS_MAX_RETRIES || 3);
+  const SUBS_RETRY_BASE_DELAY_MS = Number(env.SUBS_RETRY_BASE_DELAY_MS || 5000);
+  const PODIO_ENRICH_TTL_SECONDS = Number(env.PODIO_ENRICH_TTL_SECONDS ?? 30);
+  const PODIO_ENRICH_TYPES = (env.PODIO_ENRICH_TYPES || "item,task,comment").split(",").map((t) => t.trim()).filter(Boolean);
+  const COORDINATION_LEASE_SECONDS = Number(env.COORDINATION_LEASE_SECONDS || 30);
+  const SHUTDOWN_TIMEOUT_SECONDS = Number(env.SHUTDOWN_TIMEOUT_SECONDS || 20);
+  const API_KEYS_CONFIG = env.API_KEYS_CONFIG || "data/api-keys.json";
+  const PODIO_ENRICH_MIN_REMAINING = Number(env.PODIO_ENRICH_MIN_REMAINING ?? 100);
+
+  // --------------------------------------------------
+  // Logging
+  // JSON lines at LOG_LEVEL (error|warn|info|debug). Every request gets a
+  // correlation ID (X-Correlation-Id, generated when absent) that is carried
+  // through to its deliveries; Faye events get one of their own.
+  // --------------------------------------------------
+  const logger = options.logger || createLogger({ level: LOG_LEVEL, fields: { service: "ava-podio" } });
+
+  app.use((req, res, next) => {
+    req.correlationId = req.get("x-correlation-id") || crypto.randomUUID();
+    req.log = logger.child({ correlationId: req.correlationId });
+    res.set("X-Correlation-Id", req.correlationId);
+    next();
+  });
+
+  // Logger for one delivery's lifecycle
+  function deliveryLog(delivery) {
+    return logger.child({
+      correlationId: delivery.correlationId,
+      deliveryId: delivery.id,
+      destination: delivery.destination,
+      attempt: delivery.attempts
+    });
+  }
+
+  // --------------------------------------------------
+  // Metrics (GET /metrics)
+  // --------------------------------------------------
+  const metrics = createMetrics({ activeSubscriptions: () => countSubscriptions() });
+
+  // --------------------------------------------------
+  // Forwarders
+  // Events fan out to every destination in the routing table whose filter
+  // matches. Until a config file exists the table is seeded from
+  // AVA_TOPIC_URL / DEBUG_WEBHOOK_URL.
+  // Deliveries go through a disk-backed queue: failed POSTs are retried with
+  // backoff and end up in the dead-letter store after DELIVERY_MAX_ATTEMPTS.
+  // The store is a file of its own, capped at DELIVERY_DEAD_LETTER_MAX deliveries
+  // and DELIVERY_DEAD_LETTER_MAX_AGE_HOURS.
+  // Each destination may reshape the envelope with a `transform` (lib/transforms.js);
+  // plugin transforms are loaded from PLUGINS_DIR once at startup.
+  // --------------------------------------------------
+  const transformer = createTransformer({ pluginsDir: PLUGINS_DIR });
+  try {
+    const plugins = transformer.loadPlugins();
+    if (plugins.length) logger.info("Loaded transform plugins", { plugins, dir: PLUGINS_DIR });
+  } catch (err) {
+    logger.error("Failed to load transform plugins", { dir: PLUGINS_DIR, err });
+  }
+
+  const destinations = createDestinationTable({
+    file: DESTINATIONS_CONFIG,
+    defaults: [
+      AVA_TOPIC_URL && { id: "ava", url: AVA_TOPIC_URL },
+      DEBUG_WEBHOOK_URL && { id: "debug", url: DEBUG_WEBHOOK_URL }
+    ].filter(Boolean),
+    validate: (destination) => transformer.validate(destination.transform)
+  });
+
+  // Destinations are resolved at send time, so config changes apply to retries too.
+  // Bodies are signed with the destination's `secret` (or OUTBOUND_SIGNING_SECRET);
+  // each attempt gets a fresh timestamp, the delivery id stays the same.
+  function sendDelivery(delivery) {
+    const destination = destinations.get(delivery.destination);
+    if (!destination) throw new Error(`Unknown destination ${delivery.destination}`);
+
+    const body = JSON.stringify(delivery.payload);
+    const secret = destination.secret || OUTBOUND_SIGNING_SECRET;
+    const signing = secret ? signWebhook({ secret, body, deliveryId: delivery.id }) : {};
+
+    return axios.post(destination.url, body, {
+      headers: {
+        "Content-Type": "application/json",
+        ...requestHeaders(destination),
+        ...signing,
+        ...(delivery.correlationId && { "X-Correlation-Id": delivery.correlationId })
+      },
+      timeout: destination.timeoutMs
+    });
+  }
+
+  const deliveryQueue = createDeliveryQueue({
+    file: DELIVERY_QUEUE_PATH,
+    deadFile: DELIVERY_DEAD_LETTER_PATH,
+    maxDead: DELIVERY_DEAD_LETTER_MAX,
+    maxDeadAgeMs: DELIVERY_DEAD_LETTER_MAX_AGE_HOURS * 60 * 60 * 1000,
+    maxAttempts: DELIVERY_MAX_ATTEMPTS,
+    baseDelayMs: DELIVERY_BASE_DELAY_MS,
+    maxDelayMs: DELIVERY_MAX_DELAY_MS,
+    send: sendDelivery,
+    onDelivered: (delivery, durationMs) => {
+      metrics.recordForward(delivery.destination, "success", durationMs);
+      deliveryLog(delivery).info("Delivered", { durationMs });
+    },
+    onRetry: (delivery, err, durationMs) => {
+      metrics.recordForward(delivery.destination, "retry", durationMs);
+      deliveryLog(delivery).warn("Delivery failed, will retry", { durationMs, nextAttemptAt: delivery.nextAttemptAt, err });
+    },
+    onDead: (delivery, err, durationMs) => {
+      metrics.recordForward(delivery.destination, "dead", durationMs);
+      deliveryLog(delivery).error("Delivery dead-lettered", { durationMs, err });
+    },
+    onDeadDropped: (deliveries, reason) => {
+      logger.warn("Dropped dead-lettered deliveries", { count: deliveries.length, reason });
+    },
+    onError: (err) => logger.error("Delivery queue persistence error", { err })
+  });
+
+  // --------------------------------------------------
+  // Podio API (subscription renewal and event enrichment)
+  // PODIO_ENRICH=true fetches the item/task/comment an event refers to and
+  // attaches it to the envelope before forwarding (see lib/enricher.js).
+  // --------------------------------------------------
+  const podio = createPodioClient({
+    clientId: PODIO_CLIENT_ID,
+    clientSecret: PODIO_CLIENT_SECRET,
+    appId: PODIO_APP_ID,
+    appToken: PODIO_APP_TOKEN,
+    apiBase: PODIO_API_BASE
+  });
+
+  const enrichmentEnabled = PODIO_ENRICH === "true" && podio.isConfigured();
+
+  const enricher = createEnricher({
+    podio,
+    ttlMs: PODIO_ENRICH_TTL_SECONDS * 1000,
+    types: PODIO_ENRICH_TYPES,
+    minRemaining: PODIO_ENRICH_MIN_REMAINING,
+    onOutcome: (outcome, { path, reason, err }) => {
+      metrics.enrichments.inc({ outcome });
+      if (outcome === "error") logger.warn("Podio enrichment failed", { path, err });
+      if (outcome === "skipped" && reason === "rate_limited") logger.warn("Podio enrichment skipped", { reason, rateLimit: podio.rateLimit() });
+    }
+  });
+
+  // Resolves to the envelope to forward; unchanged when enrichment is off
+  function enrichEvent(envelope) {
+    return enrichmentEnabled ? enricher.enrich(envelope) : Promise.resolve(envelope);
+  }
+
+  // --------------------------------------------------
+  // Event journal: every received event is recorded before it is forwarded,
+  // so it can be queried (GET /events) and re-delivered (POST /events/replay)
+  // --------------------------------------------------
+  const eventJournal = createEventJournal({
+    file: EVENT_JOURNAL_PATH,
+    maxAgeMs: EVENT_JOURNAL_MAX_AGE_HOURS * 60 * 60 * 1000,
+    maxBytes: EVENT_JOURNAL_MAX_MB * 1024 * 1024,
+    onError: (err) => logger.error("Event journal error", { err })
+  });
+
+  // Repeats of the same Podio change (webhook + Faye, or Faye redelivery) inside
+  // DEDUPE_WINDOW_SECONDS are dropped before they are journaled or forwarded (see lib/dedupe.js
+  // for events without a Podio event id)
+  const deduplicator = createDeduplicator({
+    windowMs: DEDUPE_WINDOW_SECONDS * 1000,
+    unidentifiedWindowMs: DEDUPE_UNIDENTIFIED_WINDOW_SECONDS * 1000
+  });
+
+  // Wrap a received Podio payload in the canonical envelope (schemas/event-envelope.v1.json),
+  // journal it, then enrich and fan it out in the background. Returns the envelope,
+  // or null when the event was a duplicate. Throws EnvelopeError when the envelope does not validate.
+  function handleEvent(raw, { source, channel, correlationId }) {
+    // Counted before validation, so events that do not fit the envelope show up too
+    metrics.channelEvents.inc({ channel: channel || podioChannelOf(raw) || "unknown", source });
+    const envelope = toEnvelope({ source, channel, raw, correlationId });
+    const meta = { channel: envelope.channel, eventType: envelope.event.type };
+
+    const { key, identified } = eventKey(envelope);
+    if (deduplicator.isDuplicate(key, { identified, source })) {
+      metrics.duplicateEvents.inc({ source });
+      logger.info("Dropped duplicate event", { correlationId, source, ...meta, dedupeKey: key });
+      return null;
+    }
+
+    eventJournal.append({ id: envelope.id, source, ...meta, correlationId, payload: envelope });
+    enrichEvent(envelope)
+      .then((enriched) => forwardEvent(enriched, { ...meta, correlationId, eventId: envelope.id }))
+      .catch((err) => logger.error("Forwarding event failed", { correlationId, eventId: envelope.id, err }));
+    return envelope;
+  }
+
+  // Re-deliver a journaled event (to all matching destinations, or one)
+  async function replayEvent(entry, { destination } = {}) {
+    const correlationId = crypto.randomUUID();
+    logger.info("Replaying event", { correlationId, eventId: entry.id, replayOf: entry.correlationId, destination });
+    const enriched = await enrichEvent(entry.payload);
+    return forwardEvent(enriched, {
+      channel: entry.channel,
+      eventType: entry.eventType,
+      correlationId,
+      eventId: entry.id,
+      destination
+    });
+  }
+
+  // Queue one delivery per matching destination, or for exactly `destination` when given.
+  // Each destination gets the envelope run through its transform; a failing transform
+  // skips that destination (the event stays in the journal for a replay once it is fixed).
+  function forwardEvent(envelope, { channel, eventType, correlationId, eventId, destination }) {
+    const targets = destination
+      ? [destinations.get(destination)].filter(Boolean)
+      : destinations.match({ channel, eventType });
+    const eventLog = logger.child({ correlationId, eventId });
+    if (!targets.length) eventLog.info("No destination matches event", { channel, eventType });
+
+    return targets.flatMap((destination) => {
+      let payload;
+      try {
+        payload = transformer.apply(destination, envelope);
+      } catch (err) {
+        metrics.transformFailures.inc({ destination: destination.id });
+        eventLog.error("Transform failed, event not delivered", { destination: destination.id, err });
+        return [];
+      }
+      if (payload === null) {
+        eventLog.debug("Transform skipped event", { destination: destination.id });
+        return [];
+      }
+
+      const delivery = deliveryQueue.enqueue({
+        destination: destination.id,
+        url: destination.url,
+        payload,
+        correlationId,
+        eventId
+      });
+      eventLog.debug("Queued delivery", { deliveryId: delivery.id, destination: destination.id });
+      return [delivery];
+    });
+  }
+
+  // Dry run for POST /admin/destinations/:id/dry-run: the body a destination would get
+  // for a sample event (a raw Podio payload, an envelope, or a journaled event id)
+  async function previewTransform(destination, { event, envelope, eventId, source = "webhook", channel }) {
+    let sample = envelope;
+    if (eventId) {
+      const [entry] = await eventJournal.query({ ids: [eventId], limit: 1 });
+      if (!entry) throw new DestinationError(`Unknown event ${eventId}`);
+      sample = entry.payload;
+    } else if (!sample) {
+      if (!event) throw new DestinationError("Pass event, envelope or eventId");
+      try {
+        sample = toEnvelope({ source, channel, raw: event });
+      } catch (err) {
+        if (!(err instanceof EnvelopeError)) throw err;
+        throw new DestinationError(err.message);
+      }
+    }
+
+    try {
+      transformer.validate(destination.transform);
+    } catch (err) {
+      throw new DestinationError(err.message);
+    }
+    return {
+      matches: matches(destination, { channel: sample.channel, eventType: sample.event?.type }),
+      envelope: sample,
+      payload: transformer.apply(destination, sample)
+    };
+  }
+
+  // --------------------------------------------------
+  // Signature validation for /podio/push
+  // HMAC over timestamp, nonce and raw body against the current and previous
+  // secret, plus a replay window on X-Podio-Timestamp and the signature itself.
+  // PODIO_PUSH_ALLOW_BODY_SIGNATURE=true also accepts the older body-only HMAC while
+  // senders migrate.
+  // --------------------------------------------------
+  const pushVerifier = createPushVerifier({
+    secrets: [PODIO_PUSH_SECRET, PODIO_PUSH_SECRET_PREVIOUS],
+    windowSeconds: PUSH_REPLAY_WINDOW_SECONDS,
+    allowBodyOnly: PODIO_PUSH_ALLOW_BODY_SIGNATURE === "true"
+  });
+  if (!pushVerifier.isConfigured()) logger.warn("PODIO_PUSH_SECRET is not set; every /podio/push will be rejected");
+
+  // --------------------------------------------------
+  // Subscription registry
+  // Live clients:     Map<channel, { subscription, record, state, createdAt, expiresAt,
+  //                                  lastEventAt, eventCount, error, retries, retryTimer }>
+  //                   only for the channels this instance holds (see Coordination)
+  //                   state: "pending" until Faye confirms, then "active" or "failed"
+  //                   connection: fayePool.connectionOf(channel), "unknown" | "up" | "down"
+  // Failed subscribes are retried SUBS_MAX_RETRIES times with backoff, then evicted.
+  // Persisted records: subscriptionStore (reloaded on boot)
+  //
+  // Coordination (lib/coordination.js): every instance syncs with the others every
+  // COORDINATION_LEASE_SECONDS / 3, and each channel is held by exactly one of them.
+  // COORDINATION=memory (default, single instance), file or redis; the latter two also
+  // share the subscription records between instances.
+  // --------------------------------------------------
+  const subs = new Map();
+  const coordination = createCoordinationBackend(env);
+  const coordinator = createCoordinator({
+    backend: coordination,
+    instanceId: INSTANCE_ID || undefined,
+    leaseMs: COORDINATION_LEASE_SECONDS * 1000
+  });
+  const subscriptionStore = createSubscriptionStore(env, { coordination });
+
+  // Channels share a small pool of Faye clients (see lib/fayePool.js)
+  const fayePool = createFayePool({
+    endpoint: PODIO_FAYE_ENDPOINT,
+    maxChannelsPerClient: FAYE_POOL_MAX_CHANNELS,
+    onTransport: (state, { id, channels }) => {
+      metrics.transportTransitions.inc({ state });
+      const fields = { client: id, channels: channels.length };
+      if (state === "down") {
+        logger.warn("Faye transport down", fields);
+      } else {
+        logger.info("Faye transport up", fields);
+      }
+    }
+  });
+
+  // Open a Faye subscription and forward any events to the matching destinations
+  function startSubscription({ channel, signature, timestamp, expires_in, createdAt, owner = null }, retries = 0) {
+    createdAt = createdAt || new Date().toISOString();
+    const expiry = expiresAt({ expires_in, createdAt });
+    const entry = {
+      subscription: null,
+      record: { channel, signature, timestamp, expires_in, createdAt, owner },
+      state: "pending",
+      createdAt,
+      expiresAt: expiry === null ? null : new Date(expiry).toISOString(),
+      lastEventAt: null,
+      eventCount: 0,
+      error: null,
+      retries,
+      retryTimer: null
+    };
+    const isCurrent = () => subs.get(channel) === entry;
+
+    entry.subscription = fayePool.subscribe(channel, { signature, timestamp }, (message) => {
+      // message is the push event payload
+      entry.lastEventAt = new Date().toISOString();
+      entry.eventCount++;
+      const correlationId = crypto.randomUUID();
+      logger.info("Faye event received", { correlationId, channel, message });
+      try {
+        handleEvent(message, { source: "faye", channel, correlationId });
+      } catch (err) {
+        if (!(err instanceof EnvelopeError)) throw err;
+        logger.error("Faye event does not fit the event envelope", { correlationId, channel, err, errors: err.errors });
+      }
+    });
+
+    entry.subscription.then(
+      () => {
+        if (!isCurrent()) return;
+        entry.state = "active";
+        entry.error = null;
+        logger.info("Subscribed", { channel });
+      },
+      (err) => {
+        if (!isCurrent()) return;
+        entry.state = "failed";
+        entry.error = err?.message || String(err);
+        logger.error("Subscribe failed", { channel, err });
+        handleSubscribeFailure(channel, entry);
+      }
+    );
+
+    subs.set(channel, entry);
+    return entry;
+  }
+
+  // Retry a failed subscribe with backoff; evict it once the retries run out
+  function handleSubscribeFailure(channel, entry) {
+    if (entry.retries >= SUBS_MAX_RETRIES) {
+      logger.error("Evicting subscription after failed retries", { channel, retries: entry.retries });
+      stopSubscription(channel).catch((err) => logger.error("Eviction failed", { channel, err }));
+      return;
+    }
+
+    const delay = backoffDelay(entry.retries + 1, {
+      baseDelayMs: SUBS_RETRY_BASE_DELAY_MS,
+      maxDelayMs: 5 * 60 * 1000
+    });
+    logger.warn("Retrying subscribe", {
+      channel,
+      delayMs: delay,
+      retry: entry.retries + 1,
+      maxRetries: SUBS_MAX_RETRIES
+    });
+
+    entry.retryTimer = setTimeout(() => {
+      if (subs.get(channel) !== entry) return;
+      startSubscription(entry.record, entry.retries + 1);
+    }, delay);
+    entry.retryTimer.unref();
+  }
+
+  // Degraded: the subscribe failed, or the transport is currently down
+  function isDegraded(channel, entry) {
+    return entry.state === "failed" || fayePool.connectionOf(channel) === "down";
+  }
+
+  function expiryOf(record) {
+    const at = expiresAt(record);
+    return at === null ? null : new Date(at).toISOString();
+  }
+
+  // Public view of a registry entry (no client internals)
+  function describeSubscription(channel, entry) {
+    const { state, createdAt, expiresAt, lastEventAt, eventCount, error, retries } = entry;
+    return {
+      channel,
+      owner: entry.record.owner,
+      instance: coordinator.instanceId,
+      state,
+      connection: fayePool.connectionOf(channel),
+      createdAt,
+      expiresAt,
+      lastEventAt,
+      eventCount,
+      error,
+      retries
+    };
+  }
+
+  // Public view of a persisted record, whichever instance holds it
+  function describeRecord(record) {
+    const entry = subs.get(record.channel);
+    if (entry) return describeSubscription(record.channel, entry);
+
+    const instance = coordinator.ownerOf(record.channel);
+    return {
+      channel: record.channel,
+      owner: record.owner,
+      instance,
+      state: instance ? "remote" : "unassigned",
+      connection: null,
+      createdAt: record.createdAt,
+      expiresAt: expiryOf(record),
+      lastEventAt: null,
+      eventCount: null,
+      error: null,
+      retries: null
+    };
+  }
+
+  // Subscriptions opened with one API key (for its maxSubscriptions quota)
+  async function subscriptionsOwnedBy(keyId) {
+    return (await subscriptionStore.list()).filter((record) => record.owner === keyId).length;
+  }
+
+  // Close this instance's client for a channel and release its pool slot (the record is kept)
+  function closeSubscription(channel) {
+    const entry = subs.get(channel);
+    if (!entry) return false;
+
+    subs.delete(channel);
+    clearTimeout(entry.retryTimer);
+    fayePool.unsubscribe(channel);
+    return true;
+  }
+
+  // Unsubscribe for good: forget the persisted record and close the local client.
+  // When another instance holds the channel, it closes its client on its next sync.
+  async function stopSubscription(channel) {
+    const removed = await subscriptionStore.remove(channel);
+    return closeSubscription(channel) || removed;
+  }
+
+  // Bring the local clients in line with the persisted records: drop expired records, renew
+  // this instance's leases, open the channels it holds and close the ones it no longer holds.
+  // Runs on boot, on a timer, and after /subscribe; runs never overlap.
+  let syncing = Promise.resolve();
+
+  function syncSubscriptions() {
+    syncing = syncing.catch(() => {}).then(runSync);
+    return syncing;
+  }
+
+  async function runSync() {
+    const records = [];
+    for (const record of await subscriptionStore.list()) {
+      if (!isExpired(record)) {
+        records.push(record);
+        continue;
+      }
+      logger.info("Dropping expired subscription", { channel: record.channel });
+      await subscriptionStore.remove(record.channel);
+      closeSubscription(record.channel);
+    }
+
+    const held = await coordinator.sync(records.map((record) => record.channel));
+    let opened = 0;
+    let closed = 0;
+
+    for (const record of records) {
+      if (!held.has(record.channel)) continue;
+      // New credentials were stored (e.g. by /subscribe on another instance) for a failed channel
+      const entry = subs.get(record.channel);
+      if (entry?.state === "failed" && entry.record.signature !== record.signature) closeSubscription(record.channel);
+
+      if (!subs.has(record.channel)) {
+        startSubscription(record);
+        opened++;
+      }
+    }
+    for (const channel of [...subs.keys()]) {
+      if (held.has(channel)) continue;
+      closeSubscription(channel);
+      closed++;
+    }
+
+    if (opened || closed) {
+      logger.info("Synced subscriptions", { instance: coordinator.instanceId, opened, closed, held: held.size });
+    }
+  }
+
+  // --------------------------------------------------
+  // Expiry + optional renewal
+  // SUBS_RENEW=true re-fetches push credentials from the Podio API shortly
+  // before a subscription expires and resubscribes with them.
+  // --------------------------------------------------
+  async function renewSubscription(record) {
+    const push = await podio.fetchPushCredentials(record.channel);
+    closeSubscription(record.channel);
+
+    const { createdAt } = startSubscription({ ...push, owner: record.owner });
+    await subscriptionStore.put({ ...push, createdAt, owner: record.owner ?? null });
+    logger.info("Renewed subscription", { channel: record.channel });
+  }
+
+  const renewalEnabled = SUBS_RENEW === "true" && podio.isConfigured();
+
+  const expirySweeper = createExpirySweeper({
+    // Each instance expires and renews only the channels it holds
+    store: { list: async () => (await subscriptionStore.list()).filter((record) => subs.has(record.channel)) },
+    intervalMs: SUBS_SWEEP_INTERVAL_SECONDS * 1000,
+    renewBeforeMs: SUBS_RENEW_BEFORE_SECONDS * 1000,
+    expire: async (record) => {
+      await stopSubscription(record.channel);
+      logger.info("Subscription expired", { channel: record.channel });
+    },
+    renew: renewalEnabled ? renewSubscription : null,
+    onError: (err, record) => logger.error("Expiry sweep error", { channel: record?.channel, err })
+  });
+
+  // --------------------------------------------------
+  // API keys for /subscribe and /unsubscribe (see lib/apiKeys.js)
+  // Keys come from API_KEYS_CONFIG; ADMIN_TOKEN, when set, is accepted as a key
+  // with every scope and no limits, unless the file has a key with the id "admin".
+  // --------------------------------------------------
+  const apiKeys = createApiKeyring({
+    file: API_KEYS_CONFIG,
+    extraKeys: ADMIN_TOKEN ? [{ id: "admin", key: ADMIN_TOKEN, scopes: ["*"] }] : [],
+    onExtraKeySkipped: (id) =>
+      logger.warn("API_KEYS_CONFIG defines this key id; ADMIN_TOKEN is not accepted as an API key", { id })
+  });
+
+  // --------------------------------------------------
+  // ROUTES
+  // --------------------------------------------------
+
+  // Health / readiness: 503 until persisted subscriptions have been restored and again
+  // once shutdown has begun, "degraded" while any channel has failed or lost its transport
+  let ready = false;
+  let stopping = false;
+
+  function countSubscriptions() {
+    const counts = { pending: 0, active: 0, failed: 0 };
+    for (const entry of subs.values()) counts[entry.state]++;
+    return counts;
+  }
+
+  function healthReport() {
+    const degraded = [...subs].filter(([channel, entry]) => isDegraded(channel, entry)).map(([channel]) => channel);
+    const counts = { total: subs.size, ...countSubscriptions(), degraded: degraded.length };
+
+    return {
+      status: stopping ? "stopping" : !ready ? "starting" : counts.degraded ? "degraded" : "ok",
+      ready,
+      uptime_seconds: Math.round(process.uptime()),
+      subscriptions: counts,
+      degraded_channels: degraded,
+      instance: coordinator.instanceId,
+      coordination: { backend: coordination.kind, instances: coordinator.instances() },
+      faye: fayePool.stats(),
+      deliveries: deliveryQueue.stats()
+    };
+  }
+
+  app.get("/health", (req, res) => {
+    const report = healthReport();
+    res.status(report.ready ? 200 : 503).json(report);
+  });
+
+  // Requests that still arrive on open connections during shutdown are turned away
+  app.use((req, res, next) => {
+    if (!stopping) return next();
+    res.set("Connection", "close");
+    return res.status(503).json({ error: "Shutting down" });
+  });
+
+  // Prometheus scrape endpoint
+  app.get("/metrics", async (req, res) => {
+    res.set("Content-Type", metrics.registry.contentType);
+    res.send(await metrics.registry.metrics());
+  });
+
+  // 1) Podio -> our webhook: validated + forwarded
+  app.post("/podio/push", async (req, res) => {
+    const body = req.body || {};
+    metrics.pushesReceived.inc();
+
+    // Handshake for some push providers (not typical for Podio -> keep for safety)
+    if (body.type === "subscription_verification" && body.challenge) {
+      req.log.info("Handshake challenge received");
+      return res.json({
+        status: "ok",
+        subscribe_url: `${APP_BASE_URL || ""}/podio/push`,
+        challenge: body.challenge
+      });
+    }
+
+    const verdict = pushVerifier.verify({
+      rawBody: req.rawBody,
+      signature: req.headers["x-podio-signature"],
+      timestamp: req.headers["x-podio-timestamp"],
+      nonce: req.headers["x-podio-nonce"]
+    });
+    if (!verdict.ok) {
+      metrics.pushesRejected.inc({ reason: verdict.reason });
+      req.log.warn("Rejected Podio push", { reason: verdict.reason });
+      if (verdict.reason === "replay") return res.status(409).send("Replayed push");
+      return res.status(401).send("Invalid signature");
+    }
+    if (verdict.bodyOnly) req.log.warn("Accepted a body-only push signature; sign timestamp, nonce and body instead");
+
+    req.log.info("Valid push event received", { body });
+    // Fan-out (the channel is derived from item_id/task_id/... in the body)
+    let envelope;
+    try {
+      envelope = handleEvent(body, { source: "webhook", correlationId: req.correlationId });
+    } catch (err) {
+      if (!(err instanceof EnvelopeError)) throw err;
+      metrics.pushesRejected.inc({ reason: "invalid_envelope" });
+      req.log.error("Push does not fit the event envelope", { err, errors: err.errors });
+      return res.status(422).json({ error: err.message });
+    }
+
+    // Duplicates are acknowledged (so Podio does not retry) but flagged
+    if (!envelope) res.set("X-Duplicate", "true");
+    return res.status(200).send("OK");
+  });
+
+  // 2) Subscribe: establish a Faye/CometD subscription for a channel
+  // Body example:
+  // { "push": { "channel": "/task/307507945", "timestamp": 1763059054, "signature": "abc", "expires_in": 21600 } }
+  // Needs an API key with the "subscribe" scope; counts against the key's maxSubscriptions.
+  app.post("/subscribe", requireApiKey(apiKeys, "subscribe"), async (req, res) => {
+    try {
+      const push = req.body?.push;
+      if (!push || !push.channel || !push.signature || !push.timestamp) {
+        return res.status(400).json({ error: "Missing push.channel, push.signature, or push.timestamp" });
+      }
+
+      const { channel, signature, timestamp, expires_in } = push;
+      let existing = await subscriptionStore.get(channel);
+
+      // A failed subscription is replaced with the new credentials
+      if (existing && subs.get(channel)?.state === "failed") {
+        req.log.info("Replacing failed subscription", { channel });
+        await stopSubscription(channel);
+        existing = null;
+      }
+
+      // If we already have a sub for this channel, return existing
+      if (existing) {
+        req.log.info("Subscription already exists", { channel, instance: coordinator.ownerOf(channel) });
+        // Held by another instance: store the new credentials, which it picks up if its subscribe failed
+        if (!subs.has(channel) && existing.signature !== signature) {
+          await subscriptionStore.put({ ...existing, signature, timestamp, expires_in, createdAt: null });
+        }
+        const { state, instance, createdAt, expiresAt } = describeRecord(existing);
+        return res.json({ status: "exists", channel, expires_in, state, instance, createdAt, expiresAt });
+      }
+
+      const { id: owner, maxSubscriptions } = req.apiKey;
+      const owned = await subscriptionsOwnedBy(owner);
+      if (maxSubscriptions !== null && owned >= maxSubscriptions) {
+        req.log.warn("Subscription quota reached", { channel, apiKey: owner, owned, maxSubscriptions });
+        return res.status(429).json({
+          error: `Subscription quota reached for API key ${owner} (${owned}/${maxSubscriptions})`
+        });
+      }
+
+      // Stored first, then picked up by whichever instance claims it
+      const record = await subscriptionStore.put({ channel, signature, timestamp, expires_in, owner });
+      await syncSubscriptions();
+
+      return res.json({
+        status: "subscribed",
+        channel,
+        expires_in: expires_in ?? null,
+        expiresAt: expiryOf(record),
+        instance: coordinator.ownerOf(channel)
+      });
+    } catch (e) {
+      req.log.error("/subscribe error", { err: e });
+      return res.status(500).json({ error: e.message });
+    }
+  });
+
+  // 3) Unsubscribe: remove an existing subscription
+  // Body: { "channel": "/task/307507945" }
+  // Needs an API key with the "unsubscribe" scope.
+  app.post("/unsubscribe", requireApiKey(apiKeys, "unsubscribe"), async (req, res) => {
+    try {
+      const channel = req.body?.channel;
+      if (!channel) return res.status(400).json({ error: "Missing channel" });
+
+      // Keys may only remove their own subscriptions unless they hold "unsubscribe:any"
+      const record = await subscriptionStore.get(channel);
+      if (record && record.owner !== req.apiKey.id && !hasScope(req.apiKey, "unsubscribe:any")) {
+        return res.status(403).json({ error: `Subscription ${channel} belongs to another API key` });
+      }
+
+      if (!(await stopSubscription(channel))) return res.json({ status: "not_found", channel });
+      req.log.info("Unsubscribed", { channel });
+
+      return res.json({ status: "unsubscribed", channel });
+    } catch (e) {
+      req.log.error("/unsubscribe error", { err: e });
+      return res.status(500).json({ error: e.message });
+    }
+  });
+
+  // 4) Admin: list, inspect and bulk-unsubscribe subscriptions
+  app.use(
+    "/subscriptions",
+    requireAdmin(ADMIN_TOKEN),
+    createSubscriptionsRouter({
+      registry: {
+        list: async () => (await subscriptionStore.list()).map(describeRecord),
+        get: async (channel) => {
+          const record = await subscriptionStore.get(channel);
+          return record ? describeRecord(record) : null;
+        },
+        stop: stopSubscription
+      }
+    })
+  );
+
+  // 5) Admin: inspect, replay or purge queued/dead-lettered deliveries
+  app.use("/admin/deliveries", requireAdmin(ADMIN_TOKEN), createDeliveriesRouter({ queue: deliveryQueue }));
+
+  // 6) Admin: manage the outbound routing table
+  app.use("/admin/destinations", requireAdmin(ADMIN_TOKEN), createDestinationsRouter({ table: destinations, preview: previewTransform }));
+
+  // 7) Admin: query and replay the event journal
+  app.use(
+    "/events",
+    requireAdmin(ADMIN_TOKEN),
+    createEventsRouter({
+      journal: eventJournal,
+      replay: replayEvent,
+      hasDestination: (id) => Boolean(destinations.get(id))
+    })
+  );
+
+  // --------------------------------------------------
+  // Start
+  // --------------------------------------------------
+  let server = null;
+  let syncTimer = null;
+
+  // The routing table and API keys are loaded before the server accepts a request:
+  // a push or Faye event matched against a half-loaded table would never be forwarded.
+  async function loadConfig() {
+    try {
+      const loaded = await destinations.load();
+      logger.info("Loaded destinations", { count: loaded.length, file: destinations.file });
+    } catch (err) {
+      logger.error("Failed to load destinations", { err });
+    }
+    try {
+      const keys = await apiKeys.load();
+      logger.info("Loaded API keys", { count: keys.length, file: apiKeys.file });
+    } catch (err) {
+      logger.error("Failed to load API keys", { err });
+    }
+  }
+
+  // Load the configuration, start serving on `port` (0 picks a free one), then restore
+  // the persisted queue and subscriptions. Resolves with the http.Server once it is listening.
+  async function listen(port = PORT) {
+    await loadConfig();
+    if (stopping) throw new Error("The bridge was shut down while starting");
+
+    return new Promise((resolve, reject) => {
+      server = app.listen(port, () => {
+        logger.info("Server running", {
+          port: server.address().port,
+          env: NODE_ENV,
+          publicBase: APP_BASE_URL || "unset"
+        });
+
+        deliveryQueue.start().catch((err) => logger.error("Failed to load delivery queue", { err }));
+        eventJournal.start();
+
+        syncSubscriptions()
+          .then(() => logger.info("Restored subscriptions", { count: subs.size, store: subscriptionStore.kind }))
+          .catch((err) => logger.error("Failed to restore subscriptions", { err }))
+          .finally(() => {
+            if (stopping) return;
+            ready = true;
+            expirySweeper.start();
+            syncTimer = setInterval(
+              () => syncSubscriptions().catch((err) => logger.error("Subscription sync failed", { err })),
+              (COORDINATION_LEASE_SECONDS * 1000) / 3
+            );
+          });
+        logger.info("Coordination", { backend: coordination.kind, instance: coordinator.instanceId });
+        logger.info("Subscription renewal", { enabled: renewalEnabled });
+        resolve(server);
+      });
+      server.once("error", reject);
+    });
+  }
+
+  // --------------------------------------------------
+  // Shutdown
+  // 1. readiness flips to 503 so the load balancer stops routing here
+  // 2. the HTTP server stops accepting connections
+  // 3. Faye clients are disconnected (subscriptions stay persisted for the next boot)
+  // 4. queued deliveries get SHUTDOWN_TIMEOUT_SECONDS to finish; the rest stay persisted
+  // Resolves to false when a step failed. Calling it again returns the same promise.
+  // --------------------------------------------------
+  let shuttingDown = null;
+
+  function shutdown(signal) {
+    if (!shuttingDown) shuttingDown = runShutdown(signal);
+    return shuttingDown;
+  }
+
+  async function runShutdown(signal) {
+    stopping = true;
+    ready = false;
+    logger.info("Shutting down", { signal, timeoutSeconds: SHUTDOWN_TIMEOUT_SECONDS });
+
+    if (server) {
+      server.close();
+      server.closeIdleConnections();
+    }
+    expirySweeper.stop();
+    clearInterval(syncTimer);
+
+    for (const entry of subs.values()) clearTimeout(entry.retryTimer);
+    const channels = subs.size;
+    fayePool.close();
+    subs.clear();
+    logger.info("Disconnected Faye clients", { channels });
+
+    let ok = true;
+    try {
+      // Hand our channels to the other instances right away instead of after the lease runs out
+      await coordinator.leave();
+      const left = await deliveryQueue.drain({ timeoutMs: SHUTDOWN_TIMEOUT_SECONDS * 1000 });
+      logger.info("Delivery queue drained", left);
+      await eventJournal.stop();
+    } catch (err) {
+      logger.error("Shutdown error", { err });
+      ok = false;
+    }
+
+    logger.info("Shutdown complete");
+    return ok;
+  }
+
+  return {
+    app,
+    logger,
+    listen,
+    shutdown,
+    healthReport,
+    shutdownTimeoutSeconds: SHUTDOWN_TIMEOUT_SECONDS,
+    server: () => server
+  };
+}
+
+module.exports = { createBridge };
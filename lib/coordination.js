@@ -0,0 +1,259 @@
+// lib/coordination.js
+// Coordination between server.js instances, so each Faye channel is subscribed by
+// exactly one of them.
+//
+// Instances share one small document through a backend:
+//   {
+//     instances:     { [instanceId]: { startedAt, expiresAt } },
+//     leases:        { [channel]: { owner: instanceId, expiresAt } },
+//     subscriptions: { [channel]: record }   (see createSharedStore in subscriptionStore.js)
+//   }
+// Every instance calls sync() on a timer. sync() renews the instance's heartbeat and its
+// leases, drops leases of channels nobody wants any more, and claims unowned channels, or
+// channels whose owner stopped heartbeating, up to a fair share (ceil(channels / instances)).
+//
+// Backends expose: kind, read() -> state, update(mutate) -> result of mutate(state),
+// where mutate edits the state in place while the backend holds its lock.
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const crypto = require("crypto");
+const { readJson, createJsonWriter } = require("./jsonFile");
+
+function emptyState() {
+  return { instances: {}, leases: {}, subscriptions: {} };
+}
+
+function normalizeState(doc) {
+  return { ...emptyState(), ...(doc || {}) };
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+// --------------------------------------------------
+// In-process backend: coordinators in one process share it (single instance, local runs)
+// --------------------------------------------------
+function createMemoryBackend() {
+  let state = emptyState();
+  let chain = Promise.resolve();
+
+  return {
+    kind: "memory",
+    async read() {
+      return JSON.parse(JSON.stringify(state));
+    },
+    update(mutate) {
+      const run = chain.then(() => mutate(state));
+      chain = run.catch(() => {});
+      return run;
+    }
+  };
+}
+
+// --------------------------------------------------
+// File backend: a JSON document guarded by an exclusive lock file.
+// Works for instances sharing a host or a volume.
+// --------------------------------------------------
+function createFileBackend({ file, lockTimeoutMs = 5000, lockStaleMs = 10000 }) {
+  const lockFile = `${file}.lock`;
+  const write = createJsonWriter(file);
+
+  async function acquireLock() {
+    const deadline = Date.now() + lockTimeoutMs;
+    await fs.promises.mkdir(path.dirname(file), { recursive: true });
+
+    for (;;) {
+      try {
+        const handle = await fs.promises.open(lockFile, "wx");
+        await handle.writeFile(`${process.pid}\n`);
+        await handle.close();
+        return;
+      } catch (err) {
+        if (err.code !== "EEXIST") throw err;
+      }
+
+      // A holder that crashed leaves the lock behind; break it once it is stale
+      try {
+        const { mtimeMs } = await fs.promises.stat(lockFile);
+        if (Date.now() - mtimeMs > lockStaleMs) {
+          await fs.promises.unlink(lockFile);
+          continue;
+        }
+      } catch (err) {
+        if (err.code !== "ENOENT") throw err;
+        continue;
+      }
+
+      if (Date.now() > deadline) throw new Error(`Timed out waiting for coordination lock ${lockFile}`);
+      await sleep(20 + Math.random() * 30);
+    }
+  }
+
+  async function releaseLock() {
+    await fs.promises.unlink(lockFile).catch(() => {});
+  }
+
+  return {
+    kind: "file",
+    file,
+    async read() {
+      return normalizeState(await readJson(file, null));
+    },
+    async update(mutate) {
+      await acquireLock();
+      try {
+        const state = normalizeState(await readJson(file, null));
+        const result = await mutate(state);
+        await write(state);
+        return result;
+      } finally {
+        await releaseLock();
+      }
+    }
+  };
+}
+
+// --------------------------------------------------
+// Redis backend: the document under one key, guarded by a SET NX PX lock.
+// Takes any Redis-compatible client with get/set/del/eval (ioredis API).
+// --------------------------------------------------
+const RELEASE_LOCK_SCRIPT = 'if redis.call("get", KEYS[1]) == ARGV[1] then return redis.call("del", KEYS[1]) end return 0';
+
+function createRedisBackend({ client, key = "pushy:coordination", lockTtlMs = 10000, lockTimeoutMs = 5000 }) {
+  const lockKey = `${key}:lock`;
+
+  async function read() {
+    const raw = await client.get(key);
+    return normalizeState(raw ? JSON.parse(raw) : null);
+  }
+
+  return {
+    kind: "redis",
+    read,
+    async update(mutate) {
+      const token = crypto.randomUUID();
+      const deadline = Date.now() + lockTimeoutMs;
+      while ((await client.set(lockKey, token, "PX", lockTtlMs, "NX")) !== "OK") {
+        if (Date.now() > deadline) throw new Error(`Timed out waiting for coordination lock ${lockKey}`);
+        await sleep(20 + Math.random() * 30);
+      }
+
+      try {
+        const state = await read();
+        const result = await mutate(state);
+        await client.set(key, JSON.stringify(state));
+        return result;
+      } finally {
+        await client.eval(RELEASE_LOCK_SCRIPT, 1, lockKey, token);
+      }
+    }
+  };
+}
+
+// --------------------------------------------------
+// Coordinator
+// --------------------------------------------------
+function defaultInstanceId() {
+  return `${os.hostname()}-${process.pid}`;
+}
+
+function createCoordinator({ backend, instanceId = defaultInstanceId(), leaseMs = 30 * 1000 }) {
+  const startedAt = new Date().toISOString();
+  // Snapshot of the last sync, for answering ownership questions without a round trip
+  let snapshot = { owners: {}, instances: [] };
+
+  // `channels` are every channel that should be subscribed somewhere.
+  // Resolves to the set of channels this instance owns after the sync.
+  async function sync(channels) {
+    const wanted = new Set(channels);
+
+    return backend.update((state) => {
+      const now = Date.now();
+      const expires = now + leaseMs;
+
+      state.instances[instanceId] = { startedAt, expiresAt: expires };
+      for (const [id, instance] of Object.entries(state.instances)) {
+        if (instance.expiresAt <= now) delete state.instances[id];
+      }
+
+      const alive = (owner) => Boolean(state.instances[owner]);
+      for (const [channel, lease] of Object.entries(state.leases)) {
+        if (!wanted.has(channel) || lease.expiresAt <= now || !alive(lease.owner)) delete state.leases[channel];
+      }
+
+      const share = Math.ceil(wanted.size / Object.keys(state.instances).length);
+      let mine = Object.values(state.leases).filter((lease) => lease.owner === instanceId).length;
+      for (const channel of [...wanted].sort()) {
+        const lease = state.leases[channel];
+        if (lease?.owner === instanceId) {
+          lease.expiresAt = expires;
+        } else if (!lease && mine < share) {
+          state.leases[channel] = { owner: instanceId, expiresAt: expires };
+          mine++;
+        }
+      }
+
+      snapshot = {
+        owners: Object.fromEntries(Object.entries(state.leases).map(([channel, lease]) => [channel, lease.owner])),
+        instances: Object.keys(state.instances).sort()
+      };
+      return new Set(Object.keys(state.leases).filter((channel) => state.leases[channel].owner === instanceId));
+    });
+  }
+
+  // Give up every lease (on shutdown) so other instances take the channels over right away
+  function leave() {
+    snapshot = { owners: {}, instances: [] };
+    return backend.update((state) => {
+      delete state.instances[instanceId];
+      for (const [channel, lease] of Object.entries(state.leases)) {
+        if (lease.owner === instanceId) delete state.leases[channel];
+      }
+    });
+  }
+
+  return {
+    instanceId,
+    backend,
+    sync,
+    leave,
+    ownerOf: (channel) => snapshot.owners[channel] || null,
+    instances: () => snapshot.instances.slice()
+  };
+}
+
+// --------------------------------------------------
+// Factory: COORDINATION=memory|file|redis
+// --------------------------------------------------
+function createCoordinationBackend(env = process.env) {
+  const kind = env.COORDINATION || "memory";
+  switch (kind) {
+    case "memory":
+      return createMemoryBackend();
+    case "file":
+      return createFileBackend({
+        file: path.resolve(env.COORDINATION_FILE || "data/coordination.json")
+      });
+    case "redis": {
+      if (!env.COORDINATION_REDIS_URL) throw new Error("COORDINATION=redis needs COORDINATION_REDIS_URL");
+      // Optional dependency, only loaded when the Redis backend is used
+      const Redis = require("ioredis");
+      return createRedisBackend({
+        client: new Redis(env.COORDINATION_REDIS_URL),
+        key: env.COORDINATION_REDIS_KEY || "pushy:coordination"
+      });
+    }
+    default:
+      throw new Error(`Unknown COORDINATION backend: ${kind}`);
+  }
+}
+
+module.exports = {
+  createCoordinator,
+  createCoordinationBackend,
+  createMemoryBackend,
+  createFileBackend,
+  createRedisBackend
+};
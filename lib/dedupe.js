@@ -0,0 +1,91 @@
+// lib/dedupe.js
+// Idempotency layer in front of the forwarders.
+//
+// One Podio change can arrive through /podio/push and through a Faye subscription on the
+// same object, and Faye may redeliver a message. Each event envelope (lib/envelope.js)
+// gets a key built from channel + object type/id + event type + Podio event id; a key
+// seen again inside the window is a duplicate.
+//
+// Many hooks (task.update, for one) carry no event id, so their key only names the object
+// and the event type, and two real changes to the same task would share it. Such keys
+// only pair a sighting from one source with one from the other, within a short window:
+// a webhook and a Faye message for the same change collapse, repeats from one source don't.
+const crypto = require("crypto");
+
+// Where Podio puts an identifier for the individual change, most specific first.
+// Bare "id" fields are left out: they are often the object's id, not the change's.
+const EVENT_ID_PATHS = [
+  ["item_revision_id"],
+  ["revision_id"],
+  ["event_id"],
+  ["data", "revision_id"],
+  ["data", "event_id"]
+];
+
+function pick(obj, keys) {
+  return keys.reduce((value, key) => (value == null ? value : value[key]), obj);
+}
+
+// { key, identified }: identified is false when the payload has no Podio event id
+function eventKey(envelope) {
+  const { channel, object, event, raw } = envelope;
+  const eventId = EVENT_ID_PATHS.map((path) => pick(raw, path)).find((v) => v != null);
+  const identified = eventId != null;
+
+  const parts = [channel || "", object.type || "", object.id || "", event.type || "", identified ? `id:${eventId}` : "unidentified"];
+  return { key: crypto.createHash("sha1").update(parts.join("|")).digest("hex"), identified };
+}
+
+function createDeduplicator({ windowMs = 5 * 60 * 1000, unidentifiedWindowMs = 30 * 1000, maxKeys = 100000 } = {}) {
+  // key -> { expires (ms), unmatched: source -> sightings not yet paired (unidentified keys only) };
+  // insertion order = age
+  const seen = new Map();
+
+  function prune(now) {
+    for (const [key, entry] of seen) {
+      if (entry.expires > now && seen.size <= maxKeys) break;
+      seen.delete(key);
+    }
+  }
+
+  // Re-inserting keeps the Map in age order for prune(); the oldest keys make room
+  function record(key, entry) {
+    seen.delete(key);
+    while (seen.size >= maxKeys) seen.delete(seen.keys().next().value);
+    seen.set(key, entry);
+  }
+
+  // An unidentified sighting is a duplicate when it pairs with an unpaired sighting of the
+  // same key from another source; otherwise it is recorded as unpaired
+  function isUnpairedElsewhere(key, source, now) {
+    const entry = seen.get(key);
+    const unmatched = entry && entry.expires > now ? entry.unmatched : {};
+    const other = Object.keys(unmatched).find((s) => s !== source && unmatched[s] > 0);
+    if (other) {
+      unmatched[other]--;
+      return true;
+    }
+    unmatched[source] = (unmatched[source] || 0) + 1;
+    record(key, { expires: now + unidentifiedWindowMs, unmatched });
+    return false;
+  }
+
+  // True when the key was already seen inside the window; records it otherwise.
+  // `identified` and `source` come from eventKey() and the envelope.
+  function isDuplicate(key, { identified = true, source = null, now = Date.now() } = {}) {
+    if (windowMs <= 0) return false;
+    prune(now);
+
+    if (!identified) return unidentifiedWindowMs > 0 && isUnpairedElsewhere(key, source, now);
+
+    const entry = seen.get(key);
+    if (entry && entry.expires > now) return true;
+
+    record(key, { expires: now + windowMs });
+    return false;
+  }
+
+  return { isDuplicate, size: () => seen.size };
+}
+
+module.exports = { createDeduplicator, eventKey };
@@ -0,0 +1,223 @@
+// lib/deliveryQueue.js
+// Durable outbound delivery queue with exponential backoff + jitter and a dead-letter store.
+//
+// A delivery looks like:
+//   { id, correlationId, eventId, destination, url, payload, headers, attempts, createdAt, nextAttemptAt, lastError }
+// Pending deliveries are persisted to `file` and dead-lettered ones to `deadFile`, so a
+// restart picks up where the previous process stopped. They are kept apart because the
+// pending file is rewritten on every enqueue and attempt; the dead-letter store only
+// changes when a delivery dies, is replayed or purged. It keeps at most maxDead
+// deliveries, none older than maxDeadAgeMs; older ones are dropped first.
+const crypto = require("crypto");
+const { readJson, createJsonWriter } = require("./jsonFile");
+
+// Exponential backoff capped at maxDelayMs, with "equal jitter" (half fixed, half random)
+function backoffDelay(attempts, { baseDelayMs, maxDelayMs }, random = Math.random) {
+  const delay = Math.min(maxDelayMs, baseDelayMs * 2 ** Math.max(0, attempts - 1));
+  return Math.round(delay / 2 + random() * (delay / 2));
+}
+
+function createDeliveryQueue({
+  file,
+  deadFile,
+  send, // async (delivery) => void, throws on failure
+  maxAttempts = 8,
+  baseDelayMs = 1000,
+  maxDelayMs = 5 * 60 * 1000,
+  concurrency = 4,
+  maxDead = 1000,
+  maxDeadAgeMs = 7 * 24 * 60 * 60 * 1000,
+  onDelivered = () => {},
+  onRetry = () => {},
+  onDead = () => {},
+  onDeadDropped = () => {}, // (deliveries, reason: "age" | "limit")
+  onError = () => {}
+}) {
+  const writePending = file ? createJsonWriter(file) : async () => {};
+  const writeDead = deadFile ? createJsonWriter(deadFile) : async () => {};
+  let pending = [];
+  let dead = [];
+  const inFlight = new Set();
+  let timer = null;
+  let started = false;
+
+  function persist() {
+    return writePending({ pending }).catch((err) => onError(err));
+  }
+
+  function persistDead() {
+    return writeDead({ dead }).catch((err) => onError(err));
+  }
+
+  // Drop dead letters past maxDeadAgeMs, then the oldest beyond maxDead. Returns how many went.
+  function pruneDead(now = Date.now()) {
+    const expired = dead.filter((d) => Date.parse(d.deadAt) <= now - maxDeadAgeMs);
+    if (expired.length) {
+      dead = dead.filter((d) => !expired.includes(d));
+      onDeadDropped(expired, "age");
+    }
+    const overflow = dead.length > maxDead ? dead.splice(0, dead.length - maxDead) : [];
+    if (overflow.length) onDeadDropped(overflow, "limit");
+    return expired.length + overflow.length;
+  }
+
+  async function load() {
+    const doc = file ? await readJson(file, { pending: [] }) : {};
+    const deadDoc = deadFile ? await readJson(deadFile, { dead: [] }) : {};
+    // Anything enqueued before start() is kept behind the persisted backlog.
+    // Older versions kept the dead letters in `file` too; they move to deadFile.
+    pending = [...(doc.pending || []), ...pending];
+    dead = [...(deadDoc.dead || []), ...(doc.dead || []), ...dead];
+    const dropped = pruneDead();
+    if (doc.dead) await Promise.all([persist(), persistDead()]);
+    else if (dropped) await persistDead();
+  }
+
+  // --------------------------------------------------
+  // Worker
+  // --------------------------------------------------
+  function schedule() {
+    if (!started) return;
+    clearTimeout(timer);
+    const waiting = pending.filter((d) => !inFlight.has(d.id));
+    if (!waiting.length || inFlight.size >= concurrency) return;
+
+    const next = Math.min(...waiting.map((d) => d.nextAttemptAt));
+    timer = setTimeout(tick, Math.max(0, next - Date.now()));
+    timer.unref();
+  }
+
+  function tick() {
+    const now = Date.now();
+    const due = pending
+      .filter((d) => !inFlight.has(d.id) && d.nextAttemptAt <= now)
+      .slice(0, concurrency - inFlight.size);
+
+    for (const delivery of due) attempt(delivery);
+    schedule();
+  }
+
+  async function attempt(delivery) {
+    inFlight.add(delivery.id);
+    delivery.attempts++;
+    const startedAt = Date.now();
+
+    try {
+      await send(delivery);
+      pending = pending.filter((d) => d.id !== delivery.id);
+      onDelivered(delivery, Date.now() - startedAt);
+    } catch (err) {
+      delivery.lastError = err.response ? `HTTP ${err.response.status}` : err.message;
+
+      if (delivery.attempts >= maxAttempts) {
+        pending = pending.filter((d) => d.id !== delivery.id);
+        delivery.deadAt = new Date().toISOString();
+        dead.push(delivery);
+        onDead(delivery, err, Date.now() - startedAt);
+        pruneDead();
+        await persistDead();
+      } else {
+        delivery.nextAttemptAt = Date.now() + backoffDelay(delivery.attempts, { baseDelayMs, maxDelayMs });
+        onRetry(delivery, err, Date.now() - startedAt);
+      }
+    } finally {
+      inFlight.delete(delivery.id);
+      await persist();
+      schedule();
+    }
+  }
+
+  // --------------------------------------------------
+  // Public API
+  // --------------------------------------------------
+  async function start() {
+    try {
+      await load();
+    } finally {
+      // Keep delivering new work even if the persisted queue could not be read
+      started = true;
+      schedule();
+    }
+  }
+
+  function stop() {
+    started = false;
+    clearTimeout(timer);
+  }
+
+  // Keep delivering until nothing is in flight or due, or until timeoutMs passes, then stop.
+  // Whatever is left (backing off, or still in flight at the deadline) stays persisted and
+  // is retried by the next start(); consumers see it again with the same delivery id.
+  async function drain({ timeoutMs = 10 * 1000, pollMs = 100 } = {}) {
+    const deadline = Date.now() + timeoutMs;
+    const busy = () => inFlight.size > 0 || pending.some((d) => d.nextAttemptAt <= Date.now());
+
+    while (started && busy() && Date.now() < deadline) {
+      await new Promise((resolve) => setTimeout(resolve, pollMs));
+    }
+    stop();
+    await Promise.all([persist(), persistDead()]);
+    return stats();
+  }
+
+  function enqueue({ destination, url, payload, headers = {}, correlationId = null, eventId = null }) {
+    const delivery = {
+      id: crypto.randomUUID(),
+      correlationId,
+      eventId,
+      destination,
+      url,
+      payload,
+      headers,
+      attempts: 0,
+      createdAt: new Date().toISOString(),
+      nextAttemptAt: Date.now(),
+      lastError: null
+    };
+    pending.push(delivery);
+    persist();
+    schedule();
+    return delivery;
+  }
+
+  function stats() {
+    return { pending: pending.length, inFlight: inFlight.size, dead: dead.length };
+  }
+
+  function listPending() {
+    return pending.slice();
+  }
+
+  function listDead() {
+    if (pruneDead()) persistDead();
+    return dead.slice();
+  }
+
+  // Move dead-lettered deliveries (all, or the given ids) back onto the queue
+  async function replayDead(ids) {
+    const selected = ids ? dead.filter((d) => ids.includes(d.id)) : dead.slice();
+    dead = dead.filter((d) => !selected.includes(d));
+
+    for (const delivery of selected) {
+      delete delivery.deadAt;
+      delivery.attempts = 0;
+      delivery.nextAttemptAt = Date.now();
+      pending.push(delivery);
+    }
+    await Promise.all([persist(), persistDead()]);
+    schedule();
+    return selected;
+  }
+
+  // Drop dead-lettered deliveries (all, or the given ids)
+  async function purgeDead(ids) {
+    const before = dead.length;
+    dead = ids ? dead.filter((d) => !ids.includes(d.id)) : [];
+    await persistDead();
+    return before - dead.length;
+  }
+
+  return { start, stop, drain, enqueue, stats, listPending, listDead, replayDead, purgeDead };
+}
+
+module.exports = { createDeliveryQueue, backoffDelay };
@@ -0,0 +1,246 @@
+// lib/destinations.js
+// Routing table for outbound fan-out.
+//
+// A destination looks like:
+//   {
+//     id: "ava",
+//     url: "https://example.com/hook",
+//     headers: { "X-Custom": "1" },
+//     auth: { type: "bearer", token: "..." } | { type: "basic", username: "...", password: "..." },
+//     timeoutMs: 10000,
+//     secret: "..." (HMAC key for X-Pushy-Signature, see webhookSignature.js),
+//     enabled: true,
+//     filter: { channels: ["/task/*", "/item/123"], events: ["item.update"] },
+//     transform: { type: "map", fields: { ... } } (optional, see transforms.js)
+//   }
+// The table is loaded from a JSON or YAML file and written back to it on every change.
+// The admin API only ever shows destinations through redactDestination().
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const yaml = require("js-yaml");
+const { createJsonWriter } = require("./jsonFile");
+const { redact } = require("./logger");
+
+const DEFAULT_TIMEOUT_MS = 10 * 1000;
+const REDACTED = "[REDACTED]";
+
+class DestinationError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "DestinationError";
+  }
+}
+
+// --------------------------------------------------
+// Matching
+// --------------------------------------------------
+
+// "*" matches one path segment, "**" matches anything (including "/")
+function patternToRegExp(pattern) {
+  const source = pattern
+    .split("**")
+    .map((part) =>
+      part
+        .split("*")
+        .map((chunk) => chunk.replace(/[.+?^${}()|[\]\\]/g, "\\$&"))
+        .join("[^/]*")
+    )
+    .join(".*");
+  return new RegExp(`^${source}$`);
+}
+
+function matchesAny(patterns, value) {
+  if (!patterns || !patterns.length) return true;
+  if (value == null) return false;
+  return patterns.some((p) => patternToRegExp(p).test(value));
+}
+
+// Does a destination want an event? Missing filters match everything.
+function matches(destination, { channel, eventType } = {}) {
+  if (destination.enabled === false) return false;
+  const filter = destination.filter || {};
+  return matchesAny(filter.channels, channel) && matchesAny(filter.events, eventType);
+}
+
+// --------------------------------------------------
+// Validation
+// --------------------------------------------------
+function normalizeDestination(def) {
+  if (!def || typeof def !== "object") throw new DestinationError("Destination must be an object");
+  if (!def.url || typeof def.url !== "string") throw new DestinationError("Destination url is required");
+
+  try {
+    new URL(def.url);
+  } catch (err) {
+    throw new DestinationError(`Invalid destination url: ${def.url}`);
+  }
+
+  if (def.auth && !["bearer", "basic"].includes(def.auth.type)) {
+    throw new DestinationError(`Unsupported auth type: ${def.auth.type}`);
+  }
+
+  const filter = def.filter || {};
+  for (const key of ["channels", "events"]) {
+    if (filter[key] !== undefined && !Array.isArray(filter[key])) {
+      throw new DestinationError(`filter.${key} must be an array`);
+    }
+  }
+
+  return {
+    ...def,
+    id: String(def.id || crypto.randomUUID()),
+    headers: def.headers || {},
+    timeoutMs: Number(def.timeoutMs || DEFAULT_TIMEOUT_MS),
+    enabled: def.enabled !== false,
+    filter
+  };
+}
+
+// Headers for one request, including the configured auth
+function requestHeaders(destination) {
+  const headers = { ...destination.headers };
+  const auth = destination.auth;
+  if (auth?.type === "bearer") {
+    headers.Authorization = `Bearer ${auth.token}`;
+  } else if (auth?.type === "basic") {
+    headers.Authorization = `Basic ${Buffer.from(`${auth.username}:${auth.password}`).toString("base64")}`;
+  }
+  return headers;
+}
+
+// --------------------------------------------------
+// Redaction
+// --------------------------------------------------
+
+// A destination as the admin API shows it: secret, auth.token, auth.password and
+// credential-looking headers replaced by "[REDACTED]" (the same rule as the logs)
+function redactDestination(destination) {
+  const out = { ...destination, headers: redact(destination.headers || {}) };
+  if (destination.secret) out.secret = REDACTED;
+  if (destination.auth) {
+    out.auth = { ...destination.auth };
+    for (const key of ["token", "password"]) {
+      if (out.auth[key]) out.auth[key] = REDACTED;
+    }
+  }
+  return out;
+}
+
+// A definition sent back with "[REDACTED]" placeholders (e.g. an edited GET response)
+// keeps the saved values in their place
+function restoreRedacted(def, saved) {
+  if (!def || typeof def !== "object" || !saved) return def;
+  const out = { ...def };
+  if (out.secret === REDACTED) out.secret = saved.secret;
+  if (out.auth && saved.auth) {
+    out.auth = { ...out.auth };
+    for (const key of ["token", "password"]) {
+      if (out.auth[key] === REDACTED) out.auth[key] = saved.auth[key];
+    }
+  }
+  if (out.headers && typeof out.headers === "object") {
+    out.headers = { ...out.headers };
+    for (const [name, value] of Object.entries(out.headers)) {
+      if (value === REDACTED && saved.headers) out.headers[name] = saved.headers[name];
+    }
+  }
+  return out;
+}
+
+// --------------------------------------------------
+// Table
+// --------------------------------------------------
+function isYaml(file) {
+  return /\.ya?ml$/i.test(file);
+}
+
+// `defaults` seed the table when the config file does not exist yet.
+// `validate(destination)` runs extra checks (e.g. the transform) and throws on failure.
+function createDestinationTable({ file, defaults = [], validate = () => {} }) {
+  const destinations = new Map();
+  const writeJson = createJsonWriter(file);
+
+  function checked(def) {
+    const destination = normalizeDestination(def);
+    try {
+      validate(destination);
+    } catch (err) {
+      throw new DestinationError(`Destination ${destination.id}: ${err.message}`);
+    }
+    return destination;
+  }
+
+  async function load() {
+    let doc;
+    try {
+      const raw = await fs.promises.readFile(file, "utf8");
+      doc = isYaml(file) ? yaml.load(raw) : JSON.parse(raw);
+    } catch (err) {
+      if (err.code !== "ENOENT") throw err;
+      doc = { destinations: defaults };
+    }
+
+    destinations.clear();
+    for (const def of doc?.destinations || []) {
+      const destination = checked(def);
+      destinations.set(destination.id, destination);
+    }
+    return list();
+  }
+
+  async function save() {
+    const doc = { destinations: list() };
+    if (!isYaml(file)) return writeJson(doc);
+
+    await fs.promises.mkdir(path.dirname(file), { recursive: true });
+    await fs.promises.writeFile(file, yaml.dump(doc));
+  }
+
+  function list() {
+    return [...destinations.values()];
+  }
+
+  function get(id) {
+    return destinations.get(id) || null;
+  }
+
+  async function create(def) {
+    const destination = checked(def);
+    if (destinations.has(destination.id)) {
+      throw new DestinationError(`Destination ${destination.id} already exists`);
+    }
+    destinations.set(destination.id, destination);
+    await save();
+    return destination;
+  }
+
+  async function update(id, def) {
+    if (!destinations.has(id)) return null;
+    const destination = checked({ ...restoreRedacted(def, destinations.get(id)), id });
+    destinations.set(id, destination);
+    await save();
+    return destination;
+  }
+
+  async function remove(id) {
+    const removed = destinations.delete(id);
+    if (removed) await save();
+    return removed;
+  }
+
+  function match(meta) {
+    return list().filter((d) => matches(d, meta));
+  }
+
+  return { file, load, list, get, create, update, remove, match };
+}
+
+module.exports = {
+  createDestinationTable,
+  requestHeaders,
+  redactDestination,
+  matches,
+  patternToRegExp,
+  DestinationError
+};
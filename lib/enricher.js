@@ -0,0 +1,98 @@
+// lib/enricher.js
+// Optional enrichment stage: fetch the Podio object an event refers to
+// (GET /item/{id}, /task/{id}, /comment/{id}) and attach it to the envelope
+// before it is forwarded, so destinations don't have to call Podio themselves.
+//
+// Fetched objects are cached per object for ttlMs. An object updated again inside the
+// TTL is served from cache, so keep the TTL short if destinations need the latest state.
+// The result is recorded on envelope.enrichment:
+//   { status: "ok" | "error" | "skipped", fetched_at, data, error }
+// Enrichment never blocks forwarding; on failure the event is forwarded with status "error".
+const { PodioRateLimitError } = require("./podioClient");
+
+const DEFAULT_TYPES = ["item", "task", "comment"];
+
+function createEnricher({
+  podio,
+  ttlMs = 30 * 1000,
+  maxEntries = 1000,
+  types = DEFAULT_TYPES,
+  // Leave this many calls of the hourly Podio budget for subscription renewals
+  minRemaining = 100,
+  onOutcome = () => {}
+}) {
+  const cache = new Map(); // path -> { expires, fetchedAt, data }; insertion order = age
+  const inFlight = new Map(); // path -> Promise<{ fetchedAt, data }>
+
+  function remember(path, value) {
+    cache.delete(path);
+    cache.set(path, { ...value, expires: Date.now() + ttlMs });
+    while (cache.size > maxEntries) cache.delete(cache.keys().next().value);
+  }
+
+  function cached(path) {
+    const hit = cache.get(path);
+    if (hit && hit.expires > Date.now()) return hit;
+    if (hit) cache.delete(path);
+    return null;
+  }
+
+  // Concurrent events for the same object share one request
+  function fetchObject(path) {
+    if (!inFlight.has(path)) {
+      const request = podio
+        .get(path)
+        .then((data) => {
+          const value = { fetchedAt: new Date().toISOString(), data };
+          remember(path, value);
+          return value;
+        })
+        .finally(() => inFlight.delete(path));
+      inFlight.set(path, request);
+    }
+    return inFlight.get(path);
+  }
+
+  function skipped(envelope, reason) {
+    onOutcome("skipped", { reason });
+    return { ...envelope, enrichment: { status: "skipped", fetched_at: null, data: null, error: reason } };
+  }
+
+  // Returns a copy of the envelope with `enrichment` set; never rejects
+  async function enrich(envelope) {
+    const { type, id } = envelope.object || {};
+    if (!type || !id || !types.includes(type)) return envelope;
+
+    const path = `/${type}/${id}`;
+    // A deleted object can't be fetched any more
+    if (/\.delete$/.test(envelope.event?.type || "")) {
+      cache.delete(path);
+      return skipped(envelope, "deleted");
+    }
+
+    const hit = cached(path);
+    if (hit) {
+      onOutcome("hit", { path });
+      return { ...envelope, enrichment: { status: "ok", fetched_at: hit.fetchedAt, data: hit.data, error: null } };
+    }
+
+    const { remaining, pausedUntil } = podio.rateLimit();
+    if (pausedUntil || (remaining !== null && remaining <= minRemaining)) {
+      return skipped(envelope, "rate_limited");
+    }
+
+    try {
+      const { fetchedAt, data } = await fetchObject(path);
+      onOutcome("fetched", { path });
+      return { ...envelope, enrichment: { status: "ok", fetched_at: fetchedAt, data, error: null } };
+    } catch (err) {
+      if (err instanceof PodioRateLimitError) return skipped(envelope, "rate_limited");
+      onOutcome("error", { path, err });
+      return { ...envelope, enrichment: { status: "error", fetched_at: null, data: null, error: err.message } };
+    }
+  }
+
+  return { enrich, size: () => cache.size };
+}
+
+module.exports = { createEnricher };
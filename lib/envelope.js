@@ -0,0 +1,103 @@
+// lib/envelope.js
+// Canonical, versioned event envelope produced for every received Podio event,
+// whether it came from /podio/push or a Faye subscription.
+// The contract lives in schemas/event-envelope.v1.json; every envelope is validated against it.
+const crypto = require("crypto");
+const Ajv = require("ajv");
+const addFormats = require("ajv-formats");
+const schema = require("../schemas/event-envelope.v1.json");
+
+const SCHEMA_NAME = "podio.event";
+const SCHEMA_VERSION = 1;
+
+const ajv = new Ajv({ allErrors: true });
+addFormats(ajv);
+const validate = ajv.compile(schema);
+
+class EnvelopeError extends Error {
+  constructor(message, errors) {
+    super(message);
+    this.name = "EnvelopeError";
+    this.errors = errors;
+  }
+}
+
+// Object types that identify themselves with "<type>_id" in webhook bodies
+const WEBHOOK_ID_KEYS = ["item_id", "task_id", "comment_id", "app_id", "space_id"];
+
+// Best-effort channel for a webhook body, e.g. { type: "item.update", item_id: 1 } -> "/item/1"
+function podioChannelOf(body) {
+  for (const key of WEBHOOK_ID_KEYS) {
+    if (body?.[key] != null) return `/${key.replace(/_id$/, "")}/${body[key]}`;
+  }
+  return null;
+}
+
+// "/task/123" (or a Faye message's ref) -> { type: "task", id: "123" }
+function objectOf(channel, payload) {
+  const match = /^\/([a-z_]+)\/(\d+)/.exec(channel || "");
+  if (match) return { type: match[1], id: match[2] };
+  if (payload?.ref?.type) return { type: payload.ref.type, id: payload.ref.id == null ? null : String(payload.ref.id) };
+  return { type: null, id: null };
+}
+
+// Podio hooks carry `type` ("item.update"); Faye messages carry a bare `event` ("update").
+// Both become "<object type>.<action>".
+function eventTypeOf(payload, objectType) {
+  const type = payload?.type || payload?.event || payload?.data?.event || null;
+  if (!type) return null;
+  if (String(type).includes(".") || !objectType) return String(type);
+  return `${objectType}.${type}`;
+}
+
+function actorOf(payload) {
+  const by = payload?.created_by || payload?.data?.created_by || payload?.user;
+  if (!by || typeof by !== "object") return null;
+  const id = by.id ?? by.user_id ?? null;
+  return {
+    type: by.type || "user",
+    id: id == null ? null : String(id),
+    name: by.name ?? null
+  };
+}
+
+function occurredAtOf(payload) {
+  const at = payload?.created_on || payload?.data?.created_on || payload?.timestamp || null;
+  return at == null ? null : String(at);
+}
+
+// Build (and validate) the envelope for one received event. `raw` is the Podio payload.
+function toEnvelope({ source, channel, raw, correlationId = null, id = crypto.randomUUID(), receivedAt = new Date() }) {
+  const resolvedChannel = channel || (source === "webhook" ? podioChannelOf(raw) : null);
+  const object = objectOf(resolvedChannel, raw);
+
+  const envelope = {
+    schema: SCHEMA_NAME,
+    version: SCHEMA_VERSION,
+    id,
+    source,
+    channel: resolvedChannel,
+    object,
+    event: { type: eventTypeOf(raw, object.type) },
+    actor: actorOf(raw),
+    occurred_at: occurredAtOf(raw),
+    received_at: new Date(receivedAt).toISOString(),
+    correlation_id: correlationId,
+    raw
+  };
+
+  if (!validate(envelope)) {
+    throw new EnvelopeError(`Invalid event envelope: ${ajv.errorsText(validate.errors)}`, validate.errors);
+  }
+  return envelope;
+}
+
+module.exports = {
+  toEnvelope,
+  validateEnvelope: (envelope) => validate(envelope),
+  podioChannelOf,
+  eventTypeOf,
+  EnvelopeError,
+  schema,
+  SCHEMA_VERSION
+};
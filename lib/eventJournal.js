@@ -0,0 +1,164 @@
+// lib/eventJournal.js
+// Bounded append-only journal of every received Podio event (JSON lines on disk),
+// so events can be inspected and re-delivered later.
+//
+// An entry looks like:
+//   { id, receivedAt, source: "webhook" | "faye", channel, eventType, correlationId, payload }
+// Retention: entries older than maxAgeMs are dropped, and the oldest entries are dropped
+// whenever the file grows past maxBytes (compaction rewrites the file atomically).
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const readline = require("readline");
+const { patternToRegExp } = require("./destinations");
+
+// After a size-triggered compaction the file is trimmed to this share of maxBytes
+const COMPACT_TARGET = 0.8;
+
+function toTime(value) {
+  if (value == null || value === "") return null;
+  const n = Number(value);
+  const t = Number.isFinite(n) ? n : Date.parse(value);
+  return Number.isFinite(t) ? t : null;
+}
+
+function createEventJournal({
+  file,
+  maxAgeMs = 7 * 24 * 60 * 60 * 1000,
+  maxBytes = 50 * 1024 * 1024,
+  compactIntervalMs = 60 * 60 * 1000,
+  onError = () => {}
+}) {
+  let size = null;
+  let timer = null;
+  // Appends and compactions are chained so they never interleave
+  let writing = Promise.resolve();
+
+  function enqueueWrite(fn) {
+    writing = writing.catch(() => {}).then(fn);
+    return writing;
+  }
+
+  async function currentSize() {
+    if (size !== null) return size;
+    try {
+      size = (await fs.promises.stat(file)).size;
+    } catch (err) {
+      if (err.code !== "ENOENT") throw err;
+      size = 0;
+    }
+    return size;
+  }
+
+  async function* readEntries() {
+    let stream;
+    try {
+      await fs.promises.access(file);
+      stream = fs.createReadStream(file, "utf8");
+    } catch (err) {
+      return;
+    }
+
+    const lines = readline.createInterface({ input: stream, crlfDelay: Infinity });
+    for await (const line of lines) {
+      if (!line) continue;
+      try {
+        yield JSON.parse(line);
+      } catch (err) {
+        // A torn last line from a crash is skipped, not fatal
+      }
+    }
+  }
+
+  // Record one event; returns the stored entry
+  function append({ id, source, channel, eventType, correlationId, payload }) {
+    const entry = {
+      id: id || crypto.randomUUID(),
+      receivedAt: new Date().toISOString(),
+      source,
+      channel: channel || null,
+      eventType: eventType || null,
+      correlationId: correlationId || null,
+      payload
+    };
+    const line = `${JSON.stringify(entry)}\n`;
+
+    enqueueWrite(async () => {
+      const before = await currentSize();
+      await fs.promises.mkdir(path.dirname(file), { recursive: true });
+      await fs.promises.appendFile(file, line);
+      size = before + Buffer.byteLength(line);
+      if (size > maxBytes) await compactNow();
+    }).catch((err) => onError(err));
+
+    return entry;
+  }
+
+  // Query entries. channel accepts the same patterns as destination filters.
+  // Returns the newest `limit` matches, oldest first.
+  async function query({ channel, since, until, ids, limit = 100 } = {}) {
+    const from = toTime(since);
+    const to = toTime(until);
+    const channelRe = channel ? patternToRegExp(channel) : null;
+    const wanted = ids ? new Set(ids) : null;
+
+    await writing.catch(() => {});
+    const matches = [];
+    for await (const entry of readEntries()) {
+      const at = Date.parse(entry.receivedAt);
+      if (wanted && !wanted.has(entry.id)) continue;
+      if (channelRe && !channelRe.test(entry.channel || "")) continue;
+      if (from !== null && at < from) continue;
+      if (to !== null && at > to) continue;
+      matches.push(entry);
+      if (matches.length > limit) matches.shift();
+    }
+    return matches;
+  }
+
+  // Drop expired entries and, when over maxBytes, the oldest ones
+  async function compactNow() {
+    const cutoff = Date.now() - maxAgeMs;
+    const kept = [];
+    for await (const entry of readEntries()) {
+      if (Date.parse(entry.receivedAt) >= cutoff) kept.push(`${JSON.stringify(entry)}\n`);
+    }
+
+    let bytes = kept.reduce((sum, line) => sum + Buffer.byteLength(line), 0);
+    let start = 0;
+    if (bytes > maxBytes) {
+      while (start < kept.length && bytes > maxBytes * COMPACT_TARGET) {
+        bytes -= Buffer.byteLength(kept[start]);
+        start++;
+      }
+    }
+
+    const tmp = `${file}.${process.pid}.tmp`;
+    await fs.promises.mkdir(path.dirname(file), { recursive: true });
+    await fs.promises.writeFile(tmp, kept.slice(start).join(""));
+    await fs.promises.rename(tmp, file);
+    size = bytes;
+  }
+
+  function compact() {
+    return enqueueWrite(compactNow);
+  }
+
+  function start() {
+    if (timer) return;
+    compact().catch((err) => onError(err));
+    timer = setInterval(() => compact().catch((err) => onError(err)), compactIntervalMs);
+    timer.unref();
+  }
+
+  // Stops compaction; resolves once pending appends are on disk
+  function stop() {
+    clearInterval(timer);
+    timer = null;
+    return writing.catch(() => {});
+  }
+
+  return { file, append, query, compact, start, stop };
+}
+
+module.exports = { createEventJournal };
@@ -0,0 +1,67 @@
+// lib/expirySweeper.js
+// Periodically walks the subscription store, expiring dead subscriptions and
+// (optionally) renewing the ones that are about to run out.
+const { expiresAt } = require("./subscriptionStore");
+
+function createExpirySweeper({
+  store,
+  intervalMs = 60 * 1000,
+  renewBeforeMs = 5 * 60 * 1000,
+  expire, // async (record) => void
+  renew, // optional async (record) => void
+  onError = () => {}
+}) {
+  let timer = null;
+  let sweeping = false;
+  const renewing = new Set();
+
+  async function renewRecord(record) {
+    renewing.add(record.channel);
+    try {
+      await renew(record);
+    } catch (err) {
+      // Leave the record alone; the next sweep retries until it actually expires
+      onError(err, record);
+    } finally {
+      renewing.delete(record.channel);
+    }
+  }
+
+  async function sweep(now = Date.now()) {
+    if (sweeping) return;
+    sweeping = true;
+    try {
+      for (const record of await store.list()) {
+        const at = expiresAt(record);
+        if (at === null) continue;
+
+        if (at <= now) {
+          try {
+            await expire(record);
+          } catch (err) {
+            onError(err, record);
+          }
+        } else if (renew && at - now <= renewBeforeMs && !renewing.has(record.channel)) {
+          await renewRecord(record);
+        }
+      }
+    } finally {
+      sweeping = false;
+    }
+  }
+
+  function start() {
+    if (timer) return;
+    timer = setInterval(() => sweep().catch((err) => onError(err)), intervalMs);
+    timer.unref();
+  }
+
+  function stop() {
+    clearInterval(timer);
+    timer = null;
+  }
+
+  return { sweep, start, stop };
+}
+
+module.exports = { createExpirySweeper };
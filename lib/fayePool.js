@@ -0,0 +1,130 @@
+// lib/fayePool.js
+// Pool of Faye clients that multiplexes many Podio channels over a few Bayeux connections.
+//
+// Podio authorizes each channel separately, so the pool keeps the push credentials per
+// channel and attaches them in an outgoing extension, keyed on `message.subscription`.
+// That also covers the re-subscribes Faye sends by itself after a re-handshake.
+const Faye = require("faye");
+
+// Podio’s Bayeux endpoint
+// (Historically https://podio.com/faye or https://push.podio.com/faye; both proxy to CometD)
+const DEFAULT_ENDPOINT = "https://push.podio.com/faye";
+
+function createFayePool({
+  endpoint = DEFAULT_ENDPOINT,
+  maxChannelsPerClient = 500,
+  clientOptions = { timeout: 45, retry: 5 }, // seconds
+  onTransport = () => {} // (state: "up" | "down", { id, channels }) => void
+} = {}) {
+  const credentials = new Map(); // channel -> { signature, timestamp }
+  const owners = new Map(); // channel -> pooled client
+  const subscriptions = new Map(); // channel -> Faye subscription
+  const clients = [];
+  let nextId = 1;
+
+  function createClient() {
+    const pooled = {
+      id: nextId++,
+      client: new Faye.Client(endpoint, clientOptions),
+      channels: new Set(),
+      connection: "unknown",
+      closed: false
+    };
+
+    // Attach the required ext fields for whichever channel is being subscribed
+    pooled.client.addExtension({
+      outgoing: function(message, callback) {
+        if (message.channel === "/meta/subscribe") {
+          const creds = credentials.get(message.subscription);
+          if (creds) {
+            message.ext = message.ext || {};
+            message.ext.private_pub_signature = creds.signature;
+            message.ext.private_pub_timestamp = String(creds.timestamp);
+          }
+        }
+        callback(message);
+      }
+    });
+
+    // Our own disconnect() also fires transport:down, so closed clients are ignored
+    for (const state of ["up", "down"]) {
+      pooled.client.on(`transport:${state}`, () => {
+        if (pooled.closed || pooled.connection === state) return;
+        pooled.connection = state;
+        onTransport(state, { id: pooled.id, channels: [...pooled.channels] });
+      });
+    }
+
+    clients.push(pooled);
+    return pooled;
+  }
+
+  // Least-loaded client with room, or a new one
+  function pickClient() {
+    const open = clients
+      .filter((c) => c.channels.size < maxChannelsPerClient)
+      .sort((a, b) => a.channels.size - b.channels.size);
+    return open[0] || createClient();
+  }
+
+  function release(channel) {
+    const pooled = owners.get(channel);
+    owners.delete(channel);
+    subscriptions.delete(channel);
+    credentials.delete(channel);
+    if (!pooled) return;
+
+    pooled.channels.delete(channel);
+    if (pooled.channels.size === 0) {
+      pooled.closed = true;
+      // Faye ignores disconnect() until the handshake is done, so a client released while
+      // still connecting would stay connected; connect() runs the callback once it is up
+      pooled.client.connect(() => pooled.client.disconnect());
+      clients.splice(clients.indexOf(pooled), 1);
+    }
+  }
+
+  // Subscribe one channel; resolves/rejects like a Faye subscription
+  function subscribe(channel, { signature, timestamp }, onMessage) {
+    if (owners.has(channel)) unsubscribe(channel);
+
+    const pooled = pickClient();
+    credentials.set(channel, { signature, timestamp });
+    owners.set(channel, pooled);
+    pooled.channels.add(channel);
+
+    const subscription = pooled.client.subscribe(channel, onMessage);
+    subscriptions.set(channel, subscription);
+
+    // A rejected subscribe is dropped by Faye; free the slot too
+    subscription.then(null, () => {
+      if (subscriptions.get(channel) === subscription) release(channel);
+    });
+    return subscription;
+  }
+
+  function unsubscribe(channel) {
+    const subscription = subscriptions.get(channel);
+    if (subscription) subscription.cancel();
+    release(channel);
+  }
+
+  function connectionOf(channel) {
+    return owners.get(channel)?.connection || "unknown";
+  }
+
+  function stats() {
+    return {
+      endpoint,
+      clients: clients.map((c) => ({ id: c.id, channels: c.channels.size, connection: c.connection }))
+    };
+  }
+
+  function close() {
+    for (const channel of [...owners.keys()]) unsubscribe(channel);
+  }
+
+  return { subscribe, unsubscribe, connectionOf, stats, close };
+}
+
+module.exports = { createFayePool, DEFAULT_ENDPOINT };
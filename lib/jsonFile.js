@@ -0,0 +1,35 @@
+// lib/jsonFile.js
+// Small helpers for the JSON documents the bridge keeps on disk.
+const fs = require("fs");
+const path = require("path");
+
+// Read and parse a JSON file, returning `fallback` when it does not exist yet
+async function readJson(file, fallback) {
+  try {
+    return JSON.parse(await fs.promises.readFile(file, "utf8"));
+  } catch (err) {
+    if (err.code === "ENOENT") return fallback;
+    throw err;
+  }
+}
+
+// Returns write(value): each call replaces the file atomically (temp file + rename),
+// and calls are chained so concurrent writes never interleave.
+function createJsonWriter(file) {
+  let writing = Promise.resolve();
+
+  return function write(value) {
+    const snapshot = JSON.stringify(value, null, 2);
+    writing = writing
+      .catch(() => {})
+      .then(async () => {
+        await fs.promises.mkdir(path.dirname(file), { recursive: true });
+        const tmp = `${file}.${process.pid}.tmp`;
+        await fs.promises.writeFile(tmp, snapshot);
+        await fs.promises.rename(tmp, file);
+      });
+    return writing;
+  };
+}
+
+module.exports = { readJson, createJsonWriter };
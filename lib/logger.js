@@ -0,0 +1,79 @@
+// lib/logger.js
+// Leveled JSON-lines logger with correlation fields and secret redaction.
+//
+//   const logger = createLogger({ level: "info" });
+//   logger.info("Delivered", { destination: "ava" });
+//   const reqLog = logger.child({ correlationId });   // every line carries correlationId
+//
+// Output: one JSON object per line, e.g.
+//   {"time":"...","level":"info","service":"ava-podio","msg":"Delivered","destination":"ava"}
+// error/warn lines go to stderr, info/debug to stdout.
+const LEVELS = { error: 0, warn: 1, info: 2, debug: 3 };
+
+// Keys whose values never reach the logs
+const SECRET_KEY = /secret|signature|token|password|authorization|api[-_]?key|cookie/i;
+const MAX_DEPTH = 8;
+
+function redact(value, depth = 0) {
+  if (value === null || typeof value !== "object") return value;
+  if (depth >= MAX_DEPTH) return "[Truncated]";
+  if (value instanceof Error) return { name: value.name, message: value.message };
+  if (Buffer.isBuffer(value)) return `[Buffer ${value.length} bytes]`;
+  if (Array.isArray(value)) return value.map((v) => redact(v, depth + 1));
+
+  const out = {};
+  for (const [key, val] of Object.entries(value)) {
+    out[key] = SECRET_KEY.test(key) ? "[REDACTED]" : redact(val, depth + 1);
+  }
+  return out;
+}
+
+// Errors (including axios errors) collapse to something readable
+function describeError(err) {
+  if (!err) return undefined;
+  if (!(err instanceof Error)) return redact(err);
+  const out = { name: err.name, message: err.message };
+  if (err.code) out.code = err.code;
+  if (err.response) {
+    out.status = err.response.status;
+    out.response = redact(err.response.data);
+  }
+  return out;
+}
+
+function createLogger({
+  level = "info",
+  fields = {},
+  stdout = process.stdout,
+  stderr = process.stderr
+} = {}) {
+  const threshold = LEVELS[level] ?? LEVELS.info;
+
+  function write(lvl, msg, extra = {}) {
+    if (LEVELS[lvl] > threshold) return;
+
+    const { err, ...rest } = extra;
+    const line = {
+      time: new Date().toISOString(),
+      level: lvl,
+      ...fields,
+      msg,
+      ...redact(rest)
+    };
+    if (err) line.err = describeError(err);
+
+    (LEVELS[lvl] <= LEVELS.warn ? stderr : stdout).write(`${JSON.stringify(line)}\n`);
+  }
+
+  return {
+    level: Object.keys(LEVELS).find((name) => LEVELS[name] === threshold),
+    error: (msg, extra) => write("error", msg, extra),
+    warn: (msg, extra) => write("warn", msg, extra),
+    info: (msg, extra) => write("info", msg, extra),
+    debug: (msg, extra) => write("debug", msg, extra),
+    isLevelEnabled: (lvl) => LEVELS[lvl] <= threshold,
+    child: (more) => createLogger({ level, fields: { ...fields, ...more }, stdout, stderr })
+  };
+}
+
+module.exports = { createLogger, redact, LEVELS };
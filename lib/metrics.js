@@ -0,0 +1,123 @@
+// lib/metrics.js
+// Prometheus metrics for the Podio push bridge, served as text on GET /metrics.
+const client = require("prom-client");
+
+function createMetrics({ activeSubscriptions = () => 0 } = {}) {
+  const registry = new client.Registry();
+  client.collectDefaultMetrics({ register: registry });
+
+  const pushesReceived = new client.Counter({
+    name: "podio_pushes_received_total",
+    help: "Pushes received on /podio/push (before validation)",
+    registers: [registry]
+  });
+
+  const pushesRejected = new client.Counter({
+    name: "podio_pushes_rejected_total",
+    help: "Pushes rejected on /podio/push, by reason",
+    labelNames: ["reason"],
+    registers: [registry]
+  });
+
+  const duplicateEvents = new client.Counter({
+    name: "bridge_duplicate_events_total",
+    help: "Events dropped as duplicates inside the dedupe window, by source",
+    labelNames: ["source"],
+    registers: [registry]
+  });
+
+  const channelEvents = new client.Counter({
+    name: "podio_channel_events_total",
+    help: "Events received over Faye or /podio/push, by channel and source",
+    labelNames: ["channel", "source"],
+    registers: [registry]
+  });
+
+  const forwardAttempts = new client.Counter({
+    name: "bridge_forward_attempts_total",
+    help: "Outbound delivery attempts, by destination",
+    labelNames: ["destination"],
+    registers: [registry]
+  });
+
+  const forwardSuccesses = new client.Counter({
+    name: "bridge_forward_successes_total",
+    help: "Successful outbound deliveries, by destination",
+    labelNames: ["destination"],
+    registers: [registry]
+  });
+
+  const forwardFailures = new client.Counter({
+    name: "bridge_forward_failures_total",
+    help: "Failed outbound delivery attempts, by destination and whether the delivery was dead-lettered",
+    labelNames: ["destination", "final"],
+    registers: [registry]
+  });
+
+  const transformFailures = new client.Counter({
+    name: "bridge_transform_failures_total",
+    help: "Events not delivered to a destination because its transform failed, by destination",
+    labelNames: ["destination"],
+    registers: [registry]
+  });
+
+  const forwardDuration = new client.Histogram({
+    name: "bridge_forward_duration_seconds",
+    help: "Outbound delivery attempt latency, by destination and outcome",
+    labelNames: ["destination", "outcome"],
+    buckets: [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30],
+    registers: [registry]
+  });
+
+  new client.Gauge({
+    name: "bridge_active_subscriptions",
+    help: "Faye subscriptions currently held, by state",
+    labelNames: ["state"],
+    registers: [registry],
+    collect() {
+      this.reset();
+      for (const [state, count] of Object.entries(activeSubscriptions())) {
+        this.set({ state }, count);
+      }
+    }
+  });
+
+  const enrichments = new client.Counter({
+    name: "podio_enrichment_total",
+    help: "Podio API enrichment lookups, by outcome (hit, fetched, error, skipped)",
+    labelNames: ["outcome"],
+    registers: [registry]
+  });
+
+  const transportTransitions = new client.Counter({
+    name: "faye_transport_transitions_total",
+    help: "Faye transport up/down transitions",
+    labelNames: ["state"],
+    registers: [registry]
+  });
+
+  // Record one finished delivery attempt. outcome: "success" | "retry" | "dead"
+  function recordForward(destination, outcome, durationMs) {
+    forwardAttempts.inc({ destination });
+    if (outcome === "success") {
+      forwardSuccesses.inc({ destination });
+    } else {
+      forwardFailures.inc({ destination, final: String(outcome === "dead") });
+    }
+    forwardDuration.observe({ destination, outcome }, durationMs / 1000);
+  }
+
+  return {
+    registry,
+    pushesReceived,
+    pushesRejected,
+    channelEvents,
+    duplicateEvents,
+    transportTransitions,
+    enrichments,
+    transformFailures,
+    recordForward
+  };
+}
+
+module.exports = { createMetrics };
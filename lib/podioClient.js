@@ -0,0 +1,154 @@
+// lib/podioClient.js
+// Minimal Podio API client: OAuth token handling + the few reads the bridge needs.
+const axios = require("axios");
+
+const DEFAULT_API_BASE = "https://api.podio.com";
+
+// Refresh tokens a little before Podio says they expire
+const TOKEN_SKEW_MS = 60 * 1000;
+
+// Podio answers 420 (or 429) once the hourly rate limit is used up, usually without
+// Retry-After; reads are paused this long before the next attempt
+const RATE_LIMIT_PAUSE_MS = 5 * 60 * 1000;
+
+// Podio's budgets are hourly, so a remaining count older than this says nothing any more
+// (otherwise a caller that stops reading near the limit would never see it recover)
+const RATE_LIMIT_WINDOW_MS = 60 * 60 * 1000;
+
+class PodioRateLimitError extends Error {
+  constructor(message, retryAt) {
+    super(message);
+    this.name = "PodioRateLimitError";
+    this.retryAt = retryAt;
+  }
+}
+
+function createPodioClient({
+  clientId,
+  clientSecret,
+  appId,
+  appToken,
+  apiBase = DEFAULT_API_BASE,
+  rateLimitWindowMs = RATE_LIMIT_WINDOW_MS
+}) {
+  let token = null; // { accessToken, expiresAt }
+  let pending = null;
+  // Last X-Rate-Limit-* headers seen (remaining is trusted until staleAt), and when
+  // reads may resume after a 420/429
+  const limits = { limit: null, remaining: null, staleAt: 0, pausedUntil: 0 };
+
+  function isConfigured() {
+    return Boolean(clientId && clientSecret);
+  }
+
+  // App authentication when an app id/token pair is configured, client credentials otherwise
+  async function requestToken() {
+    const form = new URLSearchParams({
+      client_id: clientId,
+      client_secret: clientSecret
+    });
+    if (appId && appToken) {
+      form.set("grant_type", "app");
+      form.set("app_id", appId);
+      form.set("app_token", appToken);
+    } else {
+      form.set("grant_type", "client_credentials");
+    }
+
+    const { data } = await axios.post(`${apiBase}/oauth/token`, form.toString(), {
+      headers: { "Content-Type": "application/x-www-form-urlencoded" }
+    });
+
+    return {
+      accessToken: data.access_token,
+      expiresAt: Date.now() + Number(data.expires_in || 0) * 1000
+    };
+  }
+
+  async function getAccessToken() {
+    if (!isConfigured()) throw new Error("PODIO_CLIENT_ID/PODIO_CLIENT_SECRET are not set");
+    if (token && token.expiresAt - TOKEN_SKEW_MS > Date.now()) return token.accessToken;
+
+    // Share one in-flight token request between concurrent callers
+    if (!pending) {
+      pending = requestToken().finally(() => {
+        pending = null;
+      });
+    }
+    token = await pending;
+    return token.accessToken;
+  }
+
+  function trackRateLimit(headers = {}) {
+    const limit = Number(headers["x-rate-limit-limit"]);
+    const remaining = Number(headers["x-rate-limit-remaining"]);
+    if (Number.isFinite(limit)) limits.limit = limit;
+    if (Number.isFinite(remaining)) {
+      limits.remaining = remaining;
+      limits.staleAt = Date.now() + rateLimitWindowMs;
+    }
+  }
+
+  // remaining is null once unknown: never seen, stale, or a 420/429 pause is over
+  function rateLimit() {
+    const now = Date.now();
+    const paused = limits.pausedUntil > now;
+    return {
+      limit: limits.limit,
+      remaining: limits.staleAt > now ? limits.remaining : null,
+      pausedUntil: paused ? new Date(limits.pausedUntil).toISOString() : null
+    };
+  }
+
+  async function get(path, { retryAuth = true } = {}) {
+    if (limits.pausedUntil > Date.now()) {
+      throw new PodioRateLimitError(`Podio rate limit reached, paused until ${rateLimit().pausedUntil}`, limits.pausedUntil);
+    }
+
+    const accessToken = await getAccessToken();
+    try {
+      const { data, headers } = await axios.get(`${apiBase}${path}`, {
+        headers: { Authorization: `OAuth2 ${accessToken}` }
+      });
+      trackRateLimit(headers);
+      return data;
+    } catch (err) {
+      const status = err.response?.status;
+      trackRateLimit(err.response?.headers);
+
+      if (status === 420 || status === 429) {
+        const retryAfter = Number(err.response.headers?.["retry-after"]);
+        limits.pausedUntil = Date.now() + (Number.isFinite(retryAfter) ? retryAfter * 1000 : RATE_LIMIT_PAUSE_MS);
+        limits.remaining = 0;
+        limits.staleAt = limits.pausedUntil;
+        throw new PodioRateLimitError(`Podio rate limit reached on ${path}`, limits.pausedUntil);
+      }
+      // A revoked or expired token: fetch a new one and try once more
+      if (status === 401 && retryAuth) {
+        token = null;
+        return get(path, { retryAuth: false });
+      }
+      throw err;
+    }
+  }
+
+  // Podio hands out push credentials on the object itself, e.g. GET /task/{id} -> { push: {...} }.
+  // Channels mirror the object path, so "/task/307507945" is read from the same path.
+  async function fetchPushCredentials(channel) {
+    const data = await get(channel);
+    const push = data?.push;
+    if (!push || !push.signature || !push.timestamp) {
+      throw new Error(`No push credentials returned for ${channel}`);
+    }
+    return {
+      channel: push.channel || channel,
+      signature: push.signature,
+      timestamp: push.timestamp,
+      expires_in: push.expires_in ?? null
+    };
+  }
+
+  return { isConfigured, getAccessToken, get, rateLimit, fetchPushCredentials };
+}
+
+module.exports = { createPodioClient, PodioRateLimitError };
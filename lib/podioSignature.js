@@ -0,0 +1,72 @@
+// lib/podioSignature.js
+// Verification of inbound Podio pushes (X-Podio-Signature: hex HMAC-SHA1).
+//
+// - The HMAC covers "<X-Podio-Timestamp>.<X-Podio-Nonce>.<raw body>" (an empty nonce when the
+//   header is absent), computed over the exact request bytes, never a re-serialized body.
+//   Binding the timestamp and nonce means neither can be swapped on a captured push.
+//   This is the bridge's own contract, not Podio's: whatever sends pushes must sign this way.
+// - allowBodyOnly also accepts the earlier HMAC over the raw body alone, so senders can move
+//   over. Such pushes are only checked for replays of the exact signature.
+// - Several secrets are accepted so PODIO_PUSH_SECRET can be rotated (current + previous).
+//   Empty secrets are ignored; with none left every push is rejected.
+// - A replay window rejects pushes without a timestamp, pushes whose timestamp is too old,
+//   and pushes already seen (keyed by the signature, which the sender cannot vary freely).
+const crypto = require("crypto");
+
+// prefix: "<timestamp>.<nonce>." or "" for a body-only signature
+function hmacSha1(secret, prefix, rawBody) {
+  return crypto.createHmac("sha1", secret).update(prefix).update(rawBody).digest();
+}
+
+function safeEqualHex(expected, presented) {
+  const given = Buffer.from(String(presented), "hex");
+  return given.length === expected.length && crypto.timingSafeEqual(expected, given);
+}
+
+function createPushVerifier({ secrets, windowSeconds = 5 * 60, allowBodyOnly = false }) {
+  const keys = secrets.filter(Boolean);
+  const windowMs = windowSeconds * 1000;
+  const seen = new Map(); // signature -> expires at (ms)
+
+  function prune(now) {
+    for (const [signature, expires] of seen) {
+      if (expires <= now) seen.delete(signature);
+    }
+  }
+
+  function signedBy(prefix, body, signature) {
+    return keys.some((secret) => safeEqualHex(hmacSha1(secret, prefix, body), signature));
+  }
+
+  // Returns { ok: true } ({ ok: true, bodyOnly: true } for a body-only signature) or
+  // { ok: false, reason } with reason one of
+  // "not_configured" | "missing_signature" | "missing_timestamp" | "invalid_signature" | "stale" | "replay"
+  function verify({ rawBody, signature, timestamp, nonce = "", now = Date.now() }) {
+    if (!keys.length) return { ok: false, reason: "not_configured" };
+    if (!signature) return { ok: false, reason: "missing_signature" };
+    if (!timestamp && !allowBodyOnly) return { ok: false, reason: "missing_timestamp" };
+
+    const body = rawBody || Buffer.alloc(0);
+    const bound = Boolean(timestamp) && signedBy(`${timestamp}.${nonce}.`, body, signature);
+    const bodyOnly = !bound && allowBodyOnly && signedBy("", body, signature);
+    if (!bound && !bodyOnly) return { ok: false, reason: "invalid_signature" };
+
+    if (timestamp) {
+      const sentAt = Number(timestamp) * 1000;
+      if (!Number.isFinite(sentAt) || Math.abs(now - sentAt) > windowMs) {
+        return { ok: false, reason: "stale" };
+      }
+    }
+
+    prune(now);
+    const key = String(signature).toLowerCase();
+    if (seen.has(key)) return { ok: false, reason: "replay" };
+    seen.set(key, now + windowMs);
+
+    return bodyOnly ? { ok: true, bodyOnly: true } : { ok: true };
+  }
+
+  return { verify, isConfigured: () => keys.length > 0 };
+}
+
+module.exports = { createPushVerifier };
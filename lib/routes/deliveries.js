@@ -0,0 +1,41 @@
+// lib/routes/deliveries.js
+// Admin endpoints for the outbound delivery queue and its dead-letter store.
+const express = require("express");
+
+// Accept ids from a JSON body ({ "ids": [...] }) or a comma-separated ?ids= query
+function selectedIds(req) {
+  if (Array.isArray(req.body?.ids)) return req.body.ids;
+  if (req.query.ids) return String(req.query.ids).split(",");
+  return null;
+}
+
+function createDeliveriesRouter({ queue }) {
+  const router = express.Router();
+
+  // Queue overview
+  router.get("/", (req, res) => {
+    res.json({ ...queue.stats(), pending_deliveries: queue.listPending() });
+  });
+
+  // List dead-lettered deliveries
+  router.get("/dead", (req, res) => {
+    const dead = queue.listDead();
+    res.json({ count: dead.length, deliveries: dead });
+  });
+
+  // Re-queue dead-lettered deliveries; without ids every dead delivery is replayed
+  router.post("/dead/replay", async (req, res) => {
+    const replayed = await queue.replayDead(selectedIds(req));
+    res.json({ status: "replayed", count: replayed.length, ids: replayed.map((d) => d.id) });
+  });
+
+  // Purge dead-lettered deliveries; without ids the whole dead-letter store is cleared
+  router.delete("/dead", async (req, res) => {
+    const purged = await queue.purgeDead(selectedIds(req));
+    res.json({ status: "purged", count: purged });
+  });
+
+  return router;
+}
+
+module.exports = { createDeliveriesRouter };
@@ -0,0 +1,81 @@
+// lib/routes/destinations.js
+// Admin CRUD endpoints for the outbound routing table, plus a transform dry run.
+// Responses never include credentials (see redactDestination); a PUT may send the
+// "[REDACTED]" placeholders back to keep the saved values.
+//
+// `preview(destination, body)` is provided by the server and resolves to
+// { matches, envelope, payload } for a sample event.
+const express = require("express");
+const { DestinationError, redactDestination } = require("../destinations");
+const { TransformError } = require("../transforms");
+
+function createDestinationsRouter({ table, preview }) {
+  const router = express.Router();
+
+  // Validation problems are the caller's fault; a failing transform can't be processed;
+  // everything else is ours
+  function fail(res, err) {
+    const status = err instanceof DestinationError ? 400 : err instanceof TransformError ? 422 : 500;
+    return res.status(status).json({ error: err.message });
+  }
+
+  router.get("/", (req, res) => {
+    res.json({ destinations: table.list().map(redactDestination) });
+  });
+
+  router.get("/:id", (req, res) => {
+    const destination = table.get(req.params.id);
+    if (!destination) return res.status(404).json({ error: "Destination not found" });
+    return res.json(redactDestination(destination));
+  });
+
+  router.post("/", async (req, res) => {
+    try {
+      return res.status(201).json(redactDestination(await table.create(req.body)));
+    } catch (err) {
+      return fail(res, err);
+    }
+  });
+
+  router.put("/:id", async (req, res) => {
+    try {
+      const destination = await table.update(req.params.id, req.body);
+      if (!destination) return res.status(404).json({ error: "Destination not found" });
+      return res.json(redactDestination(destination));
+    } catch (err) {
+      return fail(res, err);
+    }
+  });
+
+  // POST /admin/destinations/:id/dry-run
+  // Body: { "event": <Podio payload>, "source"?, "channel"? } or { "envelope": ... } or { "eventId": ... },
+  //       plus optional "transform" to try instead of the saved one. Nothing is delivered.
+  router.post("/:id/dry-run", async (req, res) => {
+    try {
+      const saved = table.get(req.params.id);
+      if (!saved) return res.status(404).json({ error: "Destination not found" });
+
+      const body = req.body || {};
+      const destination = body.transform === undefined ? saved : { ...saved, transform: body.transform };
+      const result = await preview(destination, body);
+      return res.json({ destination: destination.id, transform: destination.transform || null, ...result });
+    } catch (err) {
+      return fail(res, err);
+    }
+  });
+
+  router.delete("/:id", async (req, res) => {
+    try {
+      if (!(await table.remove(req.params.id))) {
+        return res.status(404).json({ error: "Destination not found" });
+      }
+      return res.json({ status: "deleted", id: req.params.id });
+    } catch (err) {
+      return fail(res, err);
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createDestinationsRouter };
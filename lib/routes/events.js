@@ -0,0 +1,70 @@
+// lib/routes/events.js
+// Admin endpoints to query the event journal and re-deliver journaled events.
+//
+// `replay(entry, { destination })` is provided by the server and resolves to the queued deliveries.
+const express = require("express");
+
+const DEFAULT_LIMIT = 100;
+const MAX_LIMIT = 1000;
+
+function toLimit(value, fallback) {
+  const n = parseInt(value, 10);
+  return Number.isFinite(n) && n > 0 ? Math.min(n, MAX_LIMIT) : fallback;
+}
+
+function createEventsRouter({ journal, replay, hasDestination }) {
+  const router = express.Router();
+
+  // GET /events?channel=/task/*&since=2024-01-01T00:00:00Z&until=...&limit=100
+  // Answers the newest `limit` matches, oldest first
+  router.get("/", async (req, res) => {
+    try {
+      const { channel, since, until } = req.query;
+      const events = await journal.query({
+        channel,
+        since,
+        until,
+        limit: toLimit(req.query.limit, DEFAULT_LIMIT)
+      });
+      return res.json({ count: events.length, events });
+    } catch (err) {
+      return res.status(500).json({ error: err.message });
+    }
+  });
+
+  // POST /events/replay
+  // Body: { "ids": [...] } or { "since": ..., "until": ..., "channel": ... },
+  //       plus optional "destination" to re-deliver to one destination only
+  router.post("/replay", async (req, res) => {
+    try {
+      const { ids, since, until, channel, destination } = req.body || {};
+      if (!Array.isArray(ids) && !since && !until) {
+        return res.status(400).json({ error: "Pass ids, or a since/until time range" });
+      }
+      if (destination && !hasDestination(destination)) {
+        return res.status(404).json({ error: `Unknown destination ${destination}` });
+      }
+
+      const events = await journal.query({
+        ids: Array.isArray(ids) ? ids : undefined,
+        channel,
+        since,
+        until,
+        limit: toLimit(req.body.limit, MAX_LIMIT)
+      });
+
+      const deliveries = (await Promise.all(events.map((entry) => replay(entry, { destination })))).flat();
+      return res.json({
+        status: "replayed",
+        events: events.length,
+        deliveries: deliveries.map((d) => ({ id: d.id, destination: d.destination, eventId: d.eventId }))
+      });
+    } catch (err) {
+      return res.status(500).json({ error: err.message });
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createEventsRouter };
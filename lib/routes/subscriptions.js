@@ -0,0 +1,91 @@
+// lib/routes/subscriptions.js
+// Admin endpoints to list, inspect and bulk-manage Faye subscriptions.
+//
+// `registry` is provided by the server:
+//   list()          -> async, [{ channel, instance, state, createdAt, expiresAt, lastEventAt, eventCount, ... }]
+//   get(channel)    -> async, one of those, or null
+//   stop(channel)   -> async, true when a subscription was removed
+const express = require("express");
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 500;
+
+function toInt(value, fallback) {
+  const n = parseInt(value, 10);
+  return Number.isFinite(n) && n >= 0 ? n : fallback;
+}
+
+// Channels contain slashes, so they are taken from the rest of the path:
+// GET /subscriptions/task/123 and GET /subscriptions/%2Ftask%2F123 both mean "/task/123"
+function channelFromPath(req) {
+  const rest = decodeURIComponent(req.params[0] || "");
+  return rest.startsWith("/") ? rest : `/${rest}`;
+}
+
+function createSubscriptionsRouter({ registry }) {
+  const router = express.Router();
+
+  // GET /subscriptions?prefix=/task/&limit=50&offset=0
+  router.get("/", async (req, res) => {
+    try {
+      const prefix = req.query.prefix || "";
+      const limit = Math.min(toInt(req.query.limit, DEFAULT_LIMIT), MAX_LIMIT);
+      const offset = toInt(req.query.offset, 0);
+
+      const matching = (await registry.list())
+        .filter((s) => s.channel.startsWith(prefix))
+        .sort((a, b) => a.channel.localeCompare(b.channel));
+
+      return res.json({
+        total: matching.length,
+        limit,
+        offset,
+        subscriptions: matching.slice(offset, offset + limit)
+      });
+    } catch (err) {
+      return res.status(500).json({ error: err.message });
+    }
+  });
+
+  router.get("/*", async (req, res) => {
+    try {
+      const subscription = await registry.get(channelFromPath(req));
+      if (!subscription) return res.status(404).json({ error: "Subscription not found" });
+      return res.json(subscription);
+    } catch (err) {
+      return res.status(500).json({ error: err.message });
+    }
+  });
+
+  // DELETE /subscriptions?prefix=/task/  or  DELETE /subscriptions?all=true
+  router.delete("/", async (req, res) => {
+    const { prefix } = req.query;
+    const all = req.query.all === "true";
+    if (!prefix && !all) {
+      return res.status(400).json({ error: "Pass ?prefix=<channel prefix> or ?all=true" });
+    }
+
+    let channels;
+    try {
+      channels = (await registry.list()).map((s) => s.channel).filter((channel) => all || channel.startsWith(prefix));
+    } catch (err) {
+      return res.status(500).json({ error: err.message });
+    }
+
+    const unsubscribed = [];
+    const failed = [];
+    for (const channel of channels) {
+      try {
+        if (await registry.stop(channel)) unsubscribed.push(channel);
+      } catch (err) {
+        failed.push({ channel, error: err.message });
+      }
+    }
+
+    return res.json({ status: "unsubscribed", count: unsubscribed.length, channels: unsubscribed, failed });
+  });
+
+  return router;
+}
+
+module.exports = { createSubscriptionsRouter };
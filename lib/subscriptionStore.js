@@ -0,0 +1,166 @@
+// lib/subscriptionStore.js
+// Persistence for the Faye subscription registry so subscriptions survive restarts.
+//
+// A store holds plain records, keyed by channel:
+//   { channel, signature, timestamp, expires_in, createdAt, owner }
+// `owner` is the id of the API key that opened the subscription (null for older records).
+// Every backend exposes the same async API: list(), get(channel), put(record), remove(channel).
+const path = require("path");
+const { readJson, createJsonWriter } = require("./jsonFile");
+
+// --------------------------------------------------
+// Helpers
+// --------------------------------------------------
+
+// Absolute expiry time in ms, or null when the subscription never expires
+function expiresAt(record) {
+  if (record.expires_in == null) return null;
+  return new Date(record.createdAt).getTime() + Number(record.expires_in) * 1000;
+}
+
+function isExpired(record, now = Date.now()) {
+  const at = expiresAt(record);
+  return at !== null && at <= now;
+}
+
+function toRecord({ channel, signature, timestamp, expires_in, createdAt, owner }) {
+  return {
+    channel,
+    signature,
+    timestamp,
+    expires_in: expires_in ?? null,
+    createdAt: createdAt || new Date().toISOString(),
+    owner: owner ?? null
+  };
+}
+
+// --------------------------------------------------
+// Memory backend (no persistence, useful for local runs)
+// --------------------------------------------------
+function createMemoryStore() {
+  const records = new Map();
+
+  return {
+    kind: "memory",
+    async list() {
+      return [...records.values()];
+    },
+    async get(channel) {
+      return records.get(channel) || null;
+    },
+    async put(record) {
+      const rec = toRecord(record);
+      records.set(rec.channel, rec);
+      return rec;
+    },
+    async remove(channel) {
+      return records.delete(channel);
+    }
+  };
+}
+
+// --------------------------------------------------
+// File backend (default): one JSON document, rewritten atomically
+// --------------------------------------------------
+function createFileStore({ file }) {
+  let records = null;
+  let loading = null;
+  const write = createJsonWriter(file);
+
+  function load() {
+    if (!loading) {
+      loading = readJson(file, {}).then((doc) => {
+        records = new Map(Object.values(doc).map((rec) => [rec.channel, rec]));
+        return records;
+      });
+    }
+    return loading;
+  }
+
+  function flush() {
+    return write(Object.fromEntries(records));
+  }
+
+  return {
+    kind: "file",
+    file,
+    async list() {
+      return [...(await load()).values()];
+    },
+    async get(channel) {
+      return (await load()).get(channel) || null;
+    },
+    async put(record) {
+      const rec = toRecord(record);
+      (await load()).set(rec.channel, rec);
+      await flush();
+      return rec;
+    },
+    async remove(channel) {
+      const removed = (await load()).delete(channel);
+      if (removed) await flush();
+      return removed;
+    }
+  };
+}
+
+// --------------------------------------------------
+// Shared backend: records live in the coordination document (lib/coordination.js),
+// so every instance sees the same subscriptions
+// --------------------------------------------------
+function createSharedStore({ backend }) {
+  return {
+    kind: "shared",
+    async list() {
+      return Object.values((await backend.read()).subscriptions);
+    },
+    async get(channel) {
+      return (await backend.read()).subscriptions[channel] || null;
+    },
+    async put(record) {
+      const rec = toRecord(record);
+      await backend.update((state) => {
+        state.subscriptions[rec.channel] = rec;
+      });
+      return rec;
+    },
+    async remove(channel) {
+      return backend.update((state) => {
+        if (!state.subscriptions[channel]) return false;
+        delete state.subscriptions[channel];
+        return true;
+      });
+    }
+  };
+}
+
+// --------------------------------------------------
+// Factory: SUBS_STORE=file|memory|shared, SUBS_STORE_PATH=<json file>
+// `shared` needs the coordination backend; it is the default when that backend
+// is not in-process (COORDINATION=file|redis).
+// --------------------------------------------------
+function createSubscriptionStore(env = process.env, { coordination } = {}) {
+  const kind = env.SUBS_STORE || (coordination && coordination.kind !== "memory" ? "shared" : "file");
+  switch (kind) {
+    case "memory":
+      return createMemoryStore();
+    case "shared":
+      if (!coordination) throw new Error("SUBS_STORE=shared needs a coordination backend");
+      return createSharedStore({ backend: coordination });
+    case "file":
+      return createFileStore({
+        file: path.resolve(env.SUBS_STORE_PATH || "data/subscriptions.json")
+      });
+    default:
+      throw new Error(`Unknown SUBS_STORE backend: ${kind}`);
+  }
+}
+
+module.exports = {
+  createSubscriptionStore,
+  createMemoryStore,
+  createFileStore,
+  createSharedStore,
+  expiresAt,
+  isExpired
+};
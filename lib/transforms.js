@@ -0,0 +1,127 @@
+// lib/transforms.js
+// Per-destination transforms: reshape the event envelope (lib/envelope.js) into the
+// body a destination wants, after normalization/enrichment and before delivery.
+//
+// A destination's `transform` is one of:
+//   { type: "map", fields: { id: "id", item: "object.id", title: "enrichment.data.title" } }
+//       -> a flat object; each value is a dot path into the envelope
+//   { type: "template", template: { text: "{{event.type}} on {{channel}}", item: "{{object}}" } }
+//       -> any JSON; a string that is exactly "{{path}}" takes the value as-is,
+//          "{{path}}" inside longer text is interpolated as a string
+//   { type: "plugin", name: "slack", options: { ... } }
+//       -> plugins/<name>.js exporting (envelope, { destination, options }) => body
+// Without a transform the envelope is sent unchanged. A transform that returns
+// null or undefined skips the destination for that event.
+const fs = require("fs");
+const path = require("path");
+
+const TYPES = ["map", "template", "plugin"];
+
+class TransformError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "TransformError";
+  }
+}
+
+// "object.id", "raw.items.0.title"
+function getPath(value, dotPath) {
+  if (!dotPath) return value;
+  return String(dotPath)
+    .split(".")
+    .reduce((current, key) => (current == null ? undefined : current[key]), value);
+}
+
+const WHOLE_PLACEHOLDER = /^\{\{\s*([\w.-]*)\s*\}\}$/;
+const PLACEHOLDER = /\{\{\s*([\w.-]*)\s*\}\}/g;
+
+function render(template, envelope) {
+  if (typeof template === "string") {
+    const whole = WHOLE_PLACEHOLDER.exec(template);
+    if (whole) return getPath(envelope, whole[1]) ?? null;
+    return template.replace(PLACEHOLDER, (match, dotPath) => {
+      const value = getPath(envelope, dotPath);
+      if (value == null) return "";
+      return typeof value === "object" ? JSON.stringify(value) : String(value);
+    });
+  }
+  if (Array.isArray(template)) return template.map((item) => render(item, envelope));
+  if (template && typeof template === "object") {
+    return Object.fromEntries(Object.entries(template).map(([key, value]) => [key, render(value, envelope)]));
+  }
+  return template;
+}
+
+function createTransformer({ pluginsDir }) {
+  const plugins = new Map(); // name -> function
+
+  // Load every plugins/<name>.js; a module exports the function itself or { transform }
+  function loadPlugins() {
+    plugins.clear();
+    let files = [];
+    try {
+      files = fs.readdirSync(pluginsDir).filter((file) => file.endsWith(".js"));
+    } catch (err) {
+      if (err.code !== "ENOENT") throw err;
+    }
+
+    for (const file of files) {
+      const mod = require(path.resolve(pluginsDir, file));
+      const transform = typeof mod === "function" ? mod : mod?.transform;
+      if (typeof transform !== "function") {
+        throw new TransformError(`Plugin ${file} must export a function or { transform }`);
+      }
+      plugins.set(path.basename(file, ".js"), transform);
+    }
+    return [...plugins.keys()];
+  }
+
+  // Throws TransformError for a transform that can't run
+  function validate(transform) {
+    if (transform == null) return;
+    if (typeof transform !== "object" || !TYPES.includes(transform.type)) {
+      throw new TransformError(`transform.type must be one of ${TYPES.join(", ")}`);
+    }
+
+    if (transform.type === "map") {
+      const { fields } = transform;
+      if (!fields || typeof fields !== "object" || Array.isArray(fields)) {
+        throw new TransformError("transform.fields must map output keys to envelope paths");
+      }
+      for (const [key, dotPath] of Object.entries(fields)) {
+        if (typeof dotPath !== "string") throw new TransformError(`transform.fields.${key} must be a path string`);
+      }
+    } else if (transform.type === "template") {
+      if (transform.template === undefined) throw new TransformError("transform.template is required");
+    } else if (!plugins.has(transform.name)) {
+      throw new TransformError(`Unknown transform plugin: ${transform.name}`);
+    }
+  }
+
+  // The body to deliver to `destination`, or null to skip it
+  function apply(destination, envelope) {
+    const transform = destination.transform;
+    if (transform == null) return envelope;
+    validate(transform);
+
+    let body;
+    if (transform.type === "map") {
+      body = Object.fromEntries(
+        Object.entries(transform.fields).map(([key, dotPath]) => [key, getPath(envelope, dotPath) ?? null])
+      );
+    } else if (transform.type === "template") {
+      body = render(transform.template, envelope);
+    } else {
+      try {
+        body = plugins.get(transform.name)(envelope, { destination, options: transform.options || {} });
+      } catch (err) {
+        throw new TransformError(`Plugin ${transform.name} failed: ${err.message}`);
+      }
+    }
+    return body ?? null;
+  }
+
+  return { loadPlugins, validate, apply, plugins: () => [...plugins.keys()] };
+}
+
+module.exports = { createTransformer, getPath, render, TransformError };
@@ -0,0 +1,91 @@
+// lib/webhookSignature.js
+// HMAC-SHA256 signatures for the webhooks the bridge sends downstream.
+//
+// Every signed request carries:
+//   X-Pushy-Delivery:  unique delivery id (stable across retries; use it to drop repeats)
+//   X-Pushy-Timestamp: unix seconds when this attempt was signed
+//   X-Pushy-Signature: "t=<timestamp>,v1=<hex hmac>"
+// The HMAC covers "<timestamp>.<delivery id>.<raw body>".
+//
+// Consumers can use this module as-is (it only depends on Node's crypto):
+//
+//   const { verifyWebhook } = require("./webhookSignature");
+//   app.post("/hook", express.raw({ type: "application/json" }), (req, res) => {
+//     const result = verifyWebhook({ secret: process.env.SECRET, body: req.body, headers: req.headers });
+//     if (!result.ok) return res.status(401).send(result.reason);
+//     ...
+//   });
+const crypto = require("crypto");
+
+const SIGNATURE_HEADER = "x-pushy-signature";
+const TIMESTAMP_HEADER = "x-pushy-timestamp";
+const DELIVERY_HEADER = "x-pushy-delivery";
+const DEFAULT_TOLERANCE_SECONDS = 5 * 60;
+
+function computeSignature(secret, timestamp, deliveryId, body) {
+  return crypto
+    .createHmac("sha256", secret)
+    .update(`${timestamp}.${deliveryId}.`)
+    .update(body)
+    .digest("hex");
+}
+
+// Headers to attach to one outbound request. `body` must be the exact string/Buffer sent.
+function signWebhook({ secret, body, deliveryId, timestamp = Math.floor(Date.now() / 1000) }) {
+  const signature = computeSignature(secret, timestamp, deliveryId, body);
+  return {
+    "X-Pushy-Delivery": deliveryId,
+    "X-Pushy-Timestamp": String(timestamp),
+    "X-Pushy-Signature": `t=${timestamp},v1=${signature}`
+  };
+}
+
+function parseSignatureHeader(value) {
+  const parts = {};
+  for (const pair of String(value || "").split(",")) {
+    const [key, val] = pair.split("=");
+    if (key && val) parts[key.trim()] = val.trim();
+  }
+  return parts;
+}
+
+function safeEqualHex(a, b) {
+  const left = Buffer.from(a, "hex");
+  const right = Buffer.from(b, "hex");
+  return left.length > 0 && left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+// Check a received webhook. `secret` may be an array to accept rotated secrets.
+// Returns { ok: true, deliveryId, timestamp } or { ok: false, reason }.
+function verifyWebhook({
+  secret,
+  body,
+  headers,
+  toleranceSeconds = DEFAULT_TOLERANCE_SECONDS,
+  now = Math.floor(Date.now() / 1000)
+}) {
+  const lower = Object.fromEntries(Object.entries(headers || {}).map(([k, v]) => [k.toLowerCase(), v]));
+  const deliveryId = lower[DELIVERY_HEADER];
+  const { t, v1 } = parseSignatureHeader(lower[SIGNATURE_HEADER]);
+
+  if (!deliveryId || !t || !v1) return { ok: false, reason: "missing signature headers" };
+
+  const timestamp = Number(t);
+  if (!Number.isFinite(timestamp) || Math.abs(now - timestamp) > toleranceSeconds) {
+    return { ok: false, reason: "timestamp outside tolerance" };
+  }
+
+  const secrets = [].concat(secret).filter(Boolean);
+  const valid = secrets.some((s) => safeEqualHex(computeSignature(s, t, deliveryId, body ?? ""), v1));
+  if (!valid) return { ok: false, reason: "signature mismatch" };
+
+  return { ok: true, deliveryId, timestamp };
+}
+
+module.exports = {
+  signWebhook,
+  verifyWebhook,
+  SIGNATURE_HEADER,
+  TIMESTAMP_HEADER,
+  DELIVERY_HEADER
+};
@@ -0,0 +1,40 @@
+// Grammar rules for a locale. The generator draws the words; these put them together.
+//
+//   nounPhrase({definite, adjective, noun}) -> "an elfin art"
+//   clause({subject, adverb, verb})         -> "an elfin art seriously polishes"
+//   capitalize(sentence)                    -> sentence with its first letter upper-cased
+//   conjunctions                            -> text joining two clauses, spaces included
+//
+// Words are entries from the word lists: {text, tags}. adjective and adverb may be null.
+
+function article(definite, next) {
+  if (definite) return 'the';
+  return /^([aeiou]|hour)/.test(next) ? 'an' : 'a';
+}
+
+module.exports = {
+  nounPhrase: function(parts) {
+    var words = parts.adjective ? [parts.adjective.text, parts.noun.text] : [parts.noun.text];
+    return [article(parts.definite, words[0])].concat(words).join(' ');
+  },
+
+  clause: function(parts) {
+    return [parts.subject, parts.adverb && parts.adverb.text, parts.verb.text].filter(Boolean).join(' ');
+  },
+
+  capitalize: function(sentence) {
+    return sentence.charAt(0).toUpperCase() + sentence.slice(1);
+  },
+
+  conjunctions: {
+    because: ' because ',
+    when: ' when ',
+    though: ' though ',
+    while: ' while ',
+    and: ', and ',
+    but: ', but ',
+    so: ', so ',
+    after: ', after ',
+    before: ', before '
+  }
+};
@@ -0,0 +1,61 @@
+// Spanish: articles and adjectives agree with the noun's gender (tagged "f" in
+// nouns.txt, masculine otherwise); adjectives follow the noun and adverbs the verb.
+// Adjectives are listed in the masculine singular.
+
+var ARTICLES = {
+  m: {definite: 'el', indefinite: 'un'},
+  f: {definite: 'la', indefinite: 'una'}
+};
+
+function genderOf(noun) {
+  return noun.tags.indexOf('f') === -1 ? 'm' : 'f';
+}
+
+// "rojo" -> "roja", "trabajador" -> "trabajadora", "juguetón" -> "juguetona";
+// "verde", "feliz" and words tagged "invariable" do not change
+var FEMININE_ENDINGS = [[/o$/, 'a'], [/or$/, 'ora'], [/ón$/, 'ona'], [/án$/, 'ana'], [/ín$/, 'ina']];
+
+function agree(adjective, gender) {
+  if (gender === 'm' || adjective.tags.indexOf('invariable') !== -1) return adjective.text;
+  for (var i = 0; i < FEMININE_ENDINGS.length; i++) {
+    if (FEMININE_ENDINGS[i][0].test(adjective.text)) {
+      return adjective.text.replace(FEMININE_ENDINGS[i][0], FEMININE_ENDINGS[i][1]);
+    }
+  }
+  return adjective.text;
+}
+
+module.exports = {
+  nounPhrase: function(parts) {
+    var gender = genderOf(parts.noun);
+    var article = ARTICLES[gender][parts.definite ? 'definite' : 'indefinite'];
+    var words = [article, parts.noun.text];
+    if (parts.adjective) words.push(agree(parts.adjective, gender));
+    return words.join(' ');
+  },
+
+  clause: function(parts) {
+    return [parts.subject, parts.verb.text, parts.adverb && parts.adverb.text].filter(Boolean).join(' ');
+  },
+
+  capitalize: function(sentence) {
+    return sentence.charAt(0).toUpperCase() + sentence.slice(1);
+  },
+
+  // "after"/"before" keep the English order of events: "X, after Y" is "X, y antes Y"
+  conjunctions: {
+    because: ' porque ',
+    when: ' cuando ',
+    though: ' aunque ',
+    while: ' mientras ',
+    and: ', y ',
+    but: ', pero ',
+    so: ', así que ',
+    after: ', y antes ',
+    before: ', y después '
+  },
+
+  labels: {
+    seeAlso: 'Véase también:'
+  }
+};
@@ -0,0 +1,117 @@
+var fs = require('fs');
+var path = require('path');
+
+// Each locale is a directory here holding one word list per part of speech and a
+// grammar.js with the rules that assemble them (see en/grammar.js).
+var PARTS = ['nouns', 'verbs', 'adjectives', 'adverbs'];
+var RULES = ['nounPhrase', 'clause', 'capitalize'];
+var CONJUNCTIONS = ['because', 'when', 'though', 'while', 'and', 'but', 'so', 'after', 'before'];
+
+// Names come from requests, so only own keys count ("constructor" is not a locale)
+function own(object, key) {
+  return Object.prototype.hasOwnProperty.call(object, key) ? object[key] : undefined;
+}
+
+// One entry per line: the word, then optional "|"-separated tags (e.g. "casa|f").
+// Blank lines and lines starting with "#" are skipped.
+function readWords(file) {
+  return fs.readFileSync(file, 'utf8').split('\n').map(function(line) {
+    return line.trim();
+  }).filter(function(line) {
+    return line && line.charAt(0) !== '#';
+  }).map(function(line) {
+    var fields = line.split('|');
+    return {text: fields[0].trim(), tags: fields.slice(1).map(function(tag) { return tag.trim(); })};
+  });
+}
+
+function loadLocale(dir) {
+  var name = path.basename(dir);
+  var grammar = require(path.join(dir, 'grammar.js'));
+
+  RULES.forEach(function(rule) {
+    if (typeof grammar[rule] !== 'function') {
+      throw new Error('Locale ' + name + ': grammar.js must export ' + rule + '()');
+    }
+  });
+  CONJUNCTIONS.forEach(function(conjunction) {
+    if (typeof (grammar.conjunctions || {})[conjunction] !== 'string') {
+      throw new Error('Locale ' + name + ': grammar.conjunctions.' + conjunction + ' is missing');
+    }
+  });
+
+  var words = {};
+  PARTS.forEach(function(part) {
+    words[part] = readWords(path.join(dir, part + '.txt'));
+    if (!words[part].length) throw new Error('Locale ' + name + ': ' + part + '.txt is empty');
+  });
+
+  // part: noun, verb, adjective or adverb
+  function randomWord(generator, part) {
+    var list = words[part + 's'];
+    return list[Math.floor(generator.random() * list.length)];
+  }
+
+  // Words are drawn in this order whatever order the grammar puts them in;
+  // slots lists the optional ones to fill ("adjective", "adverb")
+  function randomClause(generator, slots) {
+    var definite = Math.floor(generator.random() * 2) === 1;
+    var adjective = slots.indexOf('adjective') !== -1 ? randomWord(generator, 'adjective') : null;
+    var noun = randomWord(generator, 'noun');
+    var adverb = slots.indexOf('adverb') !== -1 ? randomWord(generator, 'adverb') : null;
+    var verb = randomWord(generator, 'verb');
+
+    var subject = grammar.nounPhrase({definite: definite, adjective: adjective, noun: noun});
+    return grammar.clause({subject: subject, adverb: adverb, verb: verb});
+  }
+
+  return {
+    name: name,
+    words: words,
+    grammar: grammar,
+    labels: Object.assign({seeAlso: 'See Also:'}, grammar.labels),
+    randomWord: randomWord,
+    randomClause: randomClause
+  };
+}
+
+// Every subdirectory is a locale; hosts.json maps host names to locales
+function loadLocales(root) {
+  var locales = {};
+  fs.readdirSync(root, {withFileTypes: true}).forEach(function(entry) {
+    if (entry.isDirectory()) locales[entry.name] = loadLocale(path.join(root, entry.name));
+  });
+
+  var hosts = {};
+  if (fs.existsSync(path.join(root, 'hosts.json'))) {
+    hosts = JSON.parse(fs.readFileSync(path.join(root, 'hosts.json'), 'utf8'));
+  }
+  Object.keys(hosts).forEach(function(host) {
+    if (!own(locales, hosts[host])) throw new Error('hosts.json: unknown locale ' + hosts[host] + ' for ' + host);
+  });
+
+  return {locales: locales, hosts: hosts};
+}
+
+var loaded = loadLocales(__dirname);
+var DEFAULT_LOCALE = process.env.DEFAULT_LOCALE || 'en';
+
+if (!own(loaded.locales, DEFAULT_LOCALE)) throw new Error('Unknown DEFAULT_LOCALE: ' + DEFAULT_LOCALE);
+
+// hosts.json first, then a first label naming a locale ("es.example.com"), then the default
+function localeForHost(hostname) {
+  var name = own(loaded.hosts, hostname) || hostname.split('.')[0];
+  return own(loaded.locales, name) || loaded.locales[DEFAULT_LOCALE];
+}
+
+function getLocale(name) {
+  return own(loaded.locales, name);
+}
+
+module.exports = {
+  localeForHost: localeForHost,
+  getLocale: getLocale,
+  names: Object.keys(loaded.locales),
+  conjunctions: CONJUNCTIONS,
+  readWords: readWords
+};
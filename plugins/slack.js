@@ -0,0 +1,17 @@
+// plugins/slack.js
+// Example transform plugin: turns an event into a Slack incoming-webhook message.
+//
+// Destination config:
+//   transform: { type: plugin, name: slack, options: { channel: "#podio", username: "Podio" } }
+module.exports = function slack(envelope, { options }) {
+  const who = envelope.actor?.name || "Someone";
+  const what = envelope.event.type || "an update";
+  const title = envelope.enrichment?.data?.title;
+  const where = title ? `"${title}" (${envelope.channel})` : envelope.channel || "Podio";
+
+  return {
+    text: `${who}: ${what} on ${where}`,
+    ...(options.channel && { channel: options.channel }),
+    ...(options.username && { username: options.username })
+  };
+};
@@ -0,0 +1,106 @@
+// test/apiKeys.test.js
+// Scoped API keys on /subscribe and /unsubscribe: scopes, ownership, rate limits and quotas.
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const axios = require("axios");
+const { createApiKeyring } = require("../lib/apiKeys");
+const { startHarness } = require("../harness");
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "pushy-keys-"));
+const keysFile = path.join(dir, "api-keys.json");
+fs.writeFileSync(
+  keysFile,
+  JSON.stringify({
+    keys: [
+      { id: "reader", key: "reader-key", scopes: ["unsubscribe"] },
+      { id: "alpha", key: "alpha-key", scopes: ["subscribe", "unsubscribe"] },
+      { id: "beta", key: "beta-key", scopes: ["subscribe", "unsubscribe"] },
+      { id: "quota", key: "quota-key", scopes: ["subscribe"], maxSubscriptions: 1 },
+      { id: "limited", key: "limited-key", scopes: ["subscribe"], requestsPerMinute: 2 }
+    ]
+  })
+);
+
+let harness;
+
+before(async () => {
+  harness = await startHarness({ logLevel: "error", env: { API_KEYS_CONFIG: keysFile } });
+});
+
+after(async () => {
+  await harness.stop();
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+function post(route, body, key) {
+  return axios.post(`${harness.bridgeUrl}${route}`, body, { headers: { "X-Api-Key": key }, validateStatus: () => true });
+}
+
+function subscribe(channel, key) {
+  return post("/subscribe", { push: harness.faye.credentialsFor(channel) }, key);
+}
+
+test("403 for a key without the route's scope", async () => {
+  const res = await subscribe("/item/1001", "reader-key");
+  assert.equal(res.status, 403);
+  assert.match(res.data.error, /lacks the "subscribe" scope/);
+});
+
+test("403 when unsubscribing another key's subscription", async () => {
+  assert.equal((await subscribe("/item/1002", "alpha-key")).data.status, "subscribed");
+
+  const res = await post("/unsubscribe", { channel: "/item/1002" }, "beta-key");
+  assert.equal(res.status, 403);
+  assert.match(res.data.error, /belongs to another API key/);
+
+  // ADMIN_TOKEN holds every scope, "unsubscribe:any" included
+  const admin = await axios.post(`${harness.bridgeUrl}/unsubscribe`, { channel: "/item/1002" }, { headers: harness.authHeaders });
+  assert.equal(admin.data.status, "unsubscribed");
+});
+
+test("429 once a key holds maxSubscriptions subscriptions", async () => {
+  assert.equal((await subscribe("/item/1003", "quota-key")).data.status, "subscribed");
+
+  const res = await subscribe("/item/1004", "quota-key");
+  assert.equal(res.status, 429);
+  assert.match(res.data.error, /Subscription quota reached for API key quota \(1\/1\)/);
+});
+
+test("429 with Retry-After over the key's request rate", async () => {
+  const statuses = [];
+  let limited;
+  for (let i = 0; i < 3; i++) {
+    const res = await post("/subscribe", {}, "limited-key");
+    statuses.push(res.status);
+    if (res.status === 429) limited = res;
+  }
+
+  assert.deepEqual(statuses, [400, 400, 429]);
+  assert.ok(Number(limited.headers["retry-after"]) >= 1);
+  assert.match(limited.data.error, /2 requests per minute/);
+});
+
+test("a key file defining its own admin key keeps every key, and ADMIN_TOKEN stops being one", async () => {
+  const skipped = [];
+  const file = path.join(dir, "admin-keys.json");
+  fs.writeFileSync(file, JSON.stringify({ keys: [{ id: "admin", key: "file-admin-key", scopes: ["subscribe"] }] }));
+  const keyring = createApiKeyring({
+    file,
+    extraKeys: [{ id: "admin", key: "admin-token", scopes: ["*"] }],
+    onExtraKeySkipped: (id) => skipped.push(id)
+  });
+
+  assert.deepEqual(await keyring.load(), [{ id: "admin", scopes: ["subscribe"] }]);
+  assert.deepEqual(skipped, ["admin"]);
+  assert.equal(keyring.authenticate("file-admin-key").id, "admin");
+  assert.equal(keyring.authenticate("admin-token"), null);
+});
+
+test("a duplicate id inside the key file is still an error", async () => {
+  const file = path.join(dir, "duplicate-keys.json");
+  fs.writeFileSync(file, JSON.stringify({ keys: [{ id: "a", key: "1" }, { id: "a", key: "2" }] }));
+  await assert.rejects(createApiKeyring({ file }).load(), /Duplicate API key id: a/);
+});
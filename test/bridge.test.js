@@ -0,0 +1,176 @@
+// test/bridge.test.js
+// End-to-end flows through the harness: a real bridge between the local Bayeux server,
+// signed pushes and the fake AVA.
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const axios = require("axios");
+const { startHarness, sendPush } = require("../harness");
+
+let harness;
+let client;
+
+before(async () => {
+  harness = await startHarness({ logLevel: "error" });
+  client = axios.create({ baseURL: harness.bridgeUrl, headers: harness.authHeaders, validateStatus: () => true });
+});
+
+after(() => harness.stop());
+
+// Polls the admin API until the channel reaches `state` (or the deadline passes)
+async function waitForState(channel, state, timeoutMs = 5000) {
+  const deadline = Date.now() + timeoutMs;
+  for (;;) {
+    const res = await client.get(`/subscriptions${channel}`);
+    if (res.data.state === state) return res.data;
+    if (Date.now() > deadline) throw new Error(`${channel} still ${res.data.state || res.status}, expected ${state}`);
+    await new Promise((resolve) => setTimeout(resolve, 50));
+  }
+}
+
+function subscribe(push) {
+  return client.post("/subscribe", { push });
+}
+
+test("subscribes with Podio's credentials and forwards Faye events to AVA", async () => {
+  const channel = "/item/101";
+  const res = await subscribe(harness.faye.credentialsFor(channel));
+  assert.equal(res.status, 200);
+  assert.equal(res.data.status, "subscribed");
+
+  const subscription = await waitForState(channel, "active");
+  assert.equal(subscription.connection, "up");
+  assert.ok(harness.faye.subscriptions.some((s) => s.channel === channel && s.accepted));
+
+  await harness.faye.publish(channel, { event: "update", created_on: "2024-01-01 10:00:00" });
+  const delivery = await harness.ava.waitFor((req) => req.body.channel === channel);
+  assert.equal(delivery.path, "/ava");
+  assert.equal(delivery.body.source, "faye");
+  assert.equal(delivery.body.event.type, "item.update");
+  assert.equal(delivery.verified.ok, true);
+
+  assert.equal((await waitForState(channel, "active")).eventCount, 1);
+});
+
+test("a second subscribe for the same channel reports the existing one", async () => {
+  const channel = "/item/102";
+  await subscribe(harness.faye.credentialsFor(channel));
+  await waitForState(channel, "active");
+
+  const res = await subscribe(harness.faye.credentialsFor(channel));
+  assert.equal(res.status, 200);
+  assert.equal(res.data.status, "exists");
+  assert.equal(res.data.state, "active");
+});
+
+test("unsubscribes and stops forwarding the channel", async () => {
+  const channel = "/task/201";
+  await subscribe(harness.faye.credentialsFor(channel));
+  await waitForState(channel, "active");
+
+  const res = await client.post("/unsubscribe", { channel });
+  assert.deepEqual(res.data, { status: "unsubscribed", channel });
+  assert.equal((await client.get(`/subscriptions${channel}`)).status, 404);
+
+  await harness.faye.publish(channel, { event: "update", created_on: "2024-01-01 11:00:00" });
+  await assert.rejects(harness.ava.waitFor((req) => req.body.channel === channel, 500));
+
+  const again = await client.post("/unsubscribe", { channel });
+  assert.equal(again.data.status, "not_found");
+});
+
+test("a subscribe with a bad private_pub_signature fails on the Faye side", async () => {
+  const channel = "/item/301";
+  const push = { ...harness.faye.credentialsFor(channel), signature: "0".repeat(40) };
+  const res = await subscribe(push);
+  assert.equal(res.status, 200);
+
+  const subscription = await waitForState(channel, "failed");
+  assert.match(subscription.error, /Invalid signature/);
+  assert.ok(harness.faye.subscriptions.some((s) => s.channel === channel && !s.accepted));
+
+  // Fresh credentials replace the failed subscription
+  const retry = await subscribe(harness.faye.credentialsFor(channel));
+  assert.equal(retry.data.status, "subscribed");
+  await waitForState(channel, "active");
+});
+
+test("subscribe and unsubscribe need an API key", async () => {
+  const anonymous = { validateStatus: () => true };
+  const push = harness.faye.credentialsFor("/item/401");
+  assert.equal((await axios.post(`${harness.bridgeUrl}/subscribe`, { push }, anonymous)).status, 401);
+  assert.equal((await axios.post(`${harness.bridgeUrl}/unsubscribe`, { channel: "/item/401" }, anonymous)).status, 401);
+  assert.equal((await client.post("/subscribe", { push: { channel: "/item/401" } })).status, 400);
+});
+
+test("forwards a signed push from /podio/push to AVA", async () => {
+  const res = await sendPush(`${harness.bridgeUrl}/podio/push`, { type: "item.update", item_id: 501 }, { secret: harness.pushSecret });
+  assert.equal(res.status, 200);
+
+  const delivery = await harness.ava.waitFor((req) => req.body.channel === "/item/501");
+  assert.equal(delivery.body.source, "webhook");
+  assert.equal(delivery.body.event.type, "item.update");
+  assert.equal(delivery.verified.ok, true);
+});
+
+test("rejects pushes that are unsigned or signed with the wrong secret", async () => {
+  const url = `${harness.bridgeUrl}/podio/push`;
+  const unsigned = await sendPush(url, { type: "item.update", item_id: 601 }, { secret: null });
+  assert.equal(unsigned.status, 401);
+
+  const forged = await sendPush(url, { type: "item.update", item_id: 602 }, { secret: "not-the-secret" });
+  assert.equal(forged.status, 401);
+
+  await assert.rejects(harness.ava.waitFor((req) => /^\/item\/60[12]$/.test(req.body.channel), 500));
+});
+
+test("two webhook updates to a task without event ids are both forwarded", async () => {
+  const url = `${harness.bridgeUrl}/podio/push`;
+  for (let i = 0; i < 2; i++) {
+    const res = await sendPush(url, { type: "task.update", task_id: 701, hook_id: 3 }, { secret: harness.pushSecret });
+    assert.equal(res.status, 200);
+    assert.equal(res.headers["x-duplicate"], undefined);
+  }
+
+  await harness.ava.waitFor(() => harness.ava.received.filter((req) => req.body.channel === "/task/701").length === 2);
+});
+
+test("the same change arriving by webhook and by Faye is forwarded once", async () => {
+  const channel = "/task/702";
+  await subscribe(harness.faye.credentialsFor(channel));
+  await waitForState(channel, "active");
+
+  const res = await sendPush(`${harness.bridgeUrl}/podio/push`, { type: "task.update", task_id: 702, hook_id: 3 }, {
+    secret: harness.pushSecret
+  });
+  assert.equal(res.status, 200);
+  await harness.ava.waitFor((req) => req.body.channel === channel);
+
+  await harness.faye.publish(channel, { event: "update" });
+  await new Promise((resolve) => setTimeout(resolve, 300));
+  const deliveries = harness.ava.received.filter((req) => req.body.channel === channel);
+  assert.deepEqual(deliveries.map((req) => req.body.source), ["webhook"]);
+
+  // The Faye side is live: the next message, a new change, is forwarded
+  await harness.faye.publish(channel, { event: "update" });
+  await harness.ava.waitFor((req) => req.body.channel === channel && req.body.source === "faye");
+});
+
+test("counts events per channel from both sources, and pushes rejected for their envelope", async () => {
+  const channel = "/item/1301";
+  await subscribe(harness.faye.credentialsFor(channel));
+  await waitForState(channel, "active");
+  await harness.faye.publish(channel, { event: "update", revision_id: 1 });
+  await sendPush(`${harness.bridgeUrl}/podio/push`, { type: "item.update", item_id: 1301, revision_id: 2 }, { secret: harness.pushSecret });
+  await harness.ava.waitFor((req) => req.body.channel === channel && req.body.source === "faye");
+
+  const invalid = await sendPush(`${harness.bridgeUrl}/podio/push`, { type: "item.update", item_id: 1302, created_by: { id: 1, name: 7 } }, {
+    secret: harness.pushSecret
+  });
+  assert.equal(invalid.status, 422);
+
+  const metrics = (await client.get("/metrics")).data;
+  assert.match(metrics, /podio_channel_events_total\{channel="\/item\/1301",source="faye"\} 1\n/);
+  assert.match(metrics, /podio_channel_events_total\{channel="\/item\/1301",source="webhook"\} 1\n/);
+  assert.match(metrics, /podio_channel_events_total\{channel="\/item\/1302",source="webhook"\} 1\n/);
+  assert.match(metrics, /podio_pushes_rejected_total\{reason="invalid_envelope"\} 1\n/);
+});
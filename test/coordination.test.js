@@ -0,0 +1,137 @@
+// test/coordination.test.js
+// Channel leases between two coordinators sharing one backend, on the memory and file backends.
+const { test, describe, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { createCoordinator, createMemoryBackend, createFileBackend } = require("../lib/coordination");
+
+const LEASE_MS = 400;
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+function sorted(set) {
+  return [...set].sort();
+}
+
+const backends = {
+  memory: () => createMemoryBackend(),
+  file: (dir) => createFileBackend({ file: path.join(dir, "coordination.json") })
+};
+
+for (const [kind, createBackend] of Object.entries(backends)) {
+  describe(`${kind} backend`, () => {
+    let dir;
+    let a;
+    let b;
+
+    beforeEach(async () => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), "pushy-coordination-"));
+      const backend = createBackend(dir);
+      a = createCoordinator({ backend, instanceId: "a", leaseMs: LEASE_MS });
+      b = createCoordinator({ backend, instanceId: "b", leaseMs: LEASE_MS });
+      // Both instances heartbeat before any channel is wanted
+      await a.sync([]);
+      await b.sync([]);
+    });
+
+    afterEach(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+    test("splits new channels by fair share", async () => {
+      const channels = ["/item/1", "/item/2", "/item/3"];
+      assert.deepEqual(sorted(await a.sync(channels)), ["/item/1", "/item/2"]);
+      assert.deepEqual(sorted(await b.sync(channels)), ["/item/3"]);
+
+      // Renewing never takes a channel another instance holds
+      assert.deepEqual(sorted(await a.sync(channels)), ["/item/1", "/item/2"]);
+      assert.equal(a.ownerOf("/item/3"), "b");
+      assert.deepEqual(b.instances(), ["a", "b"]);
+    });
+
+    test("claims a new channel only within the fair share", async () => {
+      const channels = ["/item/1", "/item/2", "/item/3", "/item/4"];
+      // Four unowned channels, but a's share is two
+      assert.deepEqual(sorted(await a.sync(channels)), ["/item/1", "/item/2"]);
+      assert.deepEqual(sorted(await b.sync(channels)), ["/item/3", "/item/4"]);
+
+      const more = [...channels, "/item/5", "/item/6"];
+      assert.deepEqual(sorted(await b.sync(more)), ["/item/3", "/item/4", "/item/5"]);
+      assert.deepEqual(sorted(await a.sync(more)), ["/item/1", "/item/2", "/item/6"]);
+    });
+
+    test("drops leases on channels nobody wants any more", async () => {
+      await a.sync(["/item/1", "/item/2"]);
+      assert.deepEqual(sorted(await a.sync(["/item/2"])), ["/item/2"]);
+      assert.equal(a.ownerOf("/item/1"), null);
+    });
+
+    test("takes over the channels of an instance whose lease expired", async () => {
+      const channels = ["/item/1", "/item/2"];
+      assert.deepEqual(sorted(await a.sync(channels)), ["/item/1"]);
+      assert.deepEqual(sorted(await b.sync(channels)), ["/item/2"]);
+
+      // b stops syncing
+      await sleep(LEASE_MS / 2);
+      await a.sync(channels);
+      assert.equal(a.ownerOf("/item/2"), "b");
+
+      await sleep(LEASE_MS);
+      assert.deepEqual(sorted(await a.sync(channels)), channels);
+      assert.deepEqual(a.instances(), ["a"]);
+    });
+
+    test("leave() releases every channel right away", async () => {
+      const channels = ["/item/1", "/item/2"];
+      await a.sync(channels);
+      await b.sync(channels);
+
+      await b.leave();
+      assert.equal(b.ownerOf("/item/2"), null);
+      assert.deepEqual(sorted(await a.sync(channels)), channels);
+      assert.deepEqual(a.instances(), ["a"]);
+    });
+  });
+}
+
+describe("file backend lock", () => {
+  let dir;
+  let file;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "pushy-coordination-lock-"));
+    file = path.join(dir, "coordination.json");
+  });
+
+  afterEach(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  test("breaks a lock left behind by a crashed holder", async () => {
+    fs.writeFileSync(`${file}.lock`, "12345\n");
+    const past = new Date(Date.now() - 60 * 1000);
+    fs.utimesSync(`${file}.lock`, past, past);
+
+    const backend = createFileBackend({ file, lockTimeoutMs: 200, lockStaleMs: 10000 });
+    assert.equal(await backend.update((state) => Object.keys(state.leases).length), 0);
+    assert.equal(fs.existsSync(`${file}.lock`), false);
+  });
+
+  test("waits for a live lock and times out", async () => {
+    fs.writeFileSync(`${file}.lock`, "12345\n");
+    const backend = createFileBackend({ file, lockTimeoutMs: 100, lockStaleMs: 10000 });
+    await assert.rejects(backend.update(() => {}), /Timed out waiting for coordination lock/);
+    assert.equal(fs.existsSync(`${file}.lock`), true);
+  });
+
+  test("serializes updates from two backends on one file", async () => {
+    const first = createFileBackend({ file });
+    const second = createFileBackend({ file });
+    const bump = (state) => {
+      state.subscriptions.count = (state.subscriptions.count || 0) + 1;
+    };
+
+    await Promise.all(Array.from({ length: 10 }, (_, i) => (i % 2 ? first : second).update(bump)));
+    assert.equal((await first.read()).subscriptions.count, 10);
+  });
+});
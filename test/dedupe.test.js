@@ -0,0 +1,80 @@
+// test/dedupe.test.js
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { createDeduplicator, eventKey } = require("../lib/dedupe");
+const { toEnvelope } = require("../lib/envelope");
+
+function webhook(raw) {
+  return toEnvelope({ source: "webhook", raw });
+}
+
+function faye(channel, raw) {
+  return toEnvelope({ source: "faye", channel, raw });
+}
+
+test("keys on the Podio event id when there is one", () => {
+  const first = eventKey(webhook({ type: "item.update", item_id: 1, item_revision_id: 10 }));
+  const again = eventKey(webhook({ type: "item.update", item_id: 1, item_revision_id: 10, hook_id: 99 }));
+  const next = eventKey(webhook({ type: "item.update", item_id: 1, item_revision_id: 11 }));
+
+  assert.equal(first.identified, true);
+  assert.equal(again.key, first.key);
+  assert.notEqual(next.key, first.key);
+  assert.equal(eventKey(faye("/item/1", { event: "update", data: { revision_id: 10 } })).identified, true);
+});
+
+test("does not treat an object id as an event id", () => {
+  const key = eventKey(faye("/task/7", { event: "update", id: 7, data: { id: 7 } }));
+  assert.equal(key.identified, false);
+});
+
+test("keys without an event id name only the object and event type", () => {
+  const fromWebhook = eventKey(webhook({ type: "task.update", task_id: 7, hook_id: 3 }));
+  const fromFaye = eventKey(faye("/task/7", { event: "update", created_on: "2024-01-01 10:00:00" }));
+
+  assert.equal(fromWebhook.identified, false);
+  assert.equal(fromFaye.key, fromWebhook.key);
+  assert.notEqual(eventKey(webhook({ type: "task.delete", task_id: 7 })).key, fromWebhook.key);
+  assert.notEqual(eventKey(webhook({ type: "task.update", task_id: 8 })).key, fromWebhook.key);
+});
+
+test("drops an identified key seen again inside the window", () => {
+  const deduplicator = createDeduplicator({ windowMs: 1000 });
+  assert.equal(deduplicator.isDuplicate("k", { now: 0 }), false);
+  assert.equal(deduplicator.isDuplicate("k", { now: 999 }), true);
+  assert.equal(deduplicator.isDuplicate("k", { now: 1000 }), false);
+  assert.equal(deduplicator.isDuplicate("other", { now: 1000 }), false);
+});
+
+test("pairs unidentified sightings across sources only", () => {
+  const deduplicator = createDeduplicator({ windowMs: 1000, unidentifiedWindowMs: 100 });
+  const seen = (source, now) => deduplicator.isDuplicate("k", { identified: false, source, now });
+
+  // Two real changes by webhook, then the same two by Faye
+  assert.equal(seen("webhook", 0), false);
+  assert.equal(seen("webhook", 10), false);
+  assert.equal(seen("faye", 20), true);
+  assert.equal(seen("faye", 30), true);
+  // A third Faye message has nothing left to pair with
+  assert.equal(seen("faye", 40), false);
+  // Nor does one arriving after the short window
+  assert.equal(seen("webhook", 200), false);
+});
+
+test("a zero window turns deduplication off", () => {
+  const deduplicator = createDeduplicator({ windowMs: 0 });
+  assert.equal(deduplicator.isDuplicate("k"), false);
+  assert.equal(deduplicator.isDuplicate("k"), false);
+
+  const unpaired = createDeduplicator({ unidentifiedWindowMs: 0 });
+  assert.equal(unpaired.isDuplicate("k", { identified: false, source: "webhook" }), false);
+  assert.equal(unpaired.isDuplicate("k", { identified: false, source: "faye" }), false);
+});
+
+test("forgets the oldest keys beyond maxKeys", () => {
+  const deduplicator = createDeduplicator({ maxKeys: 2 });
+  for (const key of ["a", "b", "c"]) deduplicator.isDuplicate(key, { now: 0 });
+  assert.equal(deduplicator.size(), 2);
+  assert.equal(deduplicator.isDuplicate("b", { now: 1 }), true);
+  assert.equal(deduplicator.isDuplicate("a", { now: 1 }), false);
+});
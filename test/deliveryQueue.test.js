@@ -0,0 +1,122 @@
+// test/deliveryQueue.test.js
+const { test, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { createDeliveryQueue } = require("../lib/deliveryQueue");
+
+let dir;
+let file;
+let deadFile;
+
+beforeEach(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), "pushy-queue-"));
+  file = path.join(dir, "deliveries.json");
+  deadFile = path.join(dir, "deliveries.dead.json");
+});
+
+afterEach(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+function read(target) {
+  return JSON.parse(fs.readFileSync(target, "utf8"));
+}
+
+// A queue whose sends always fail, so every delivery dies on its first attempt
+function failingQueue(options = {}) {
+  const dropped = [];
+  const died = [];
+  let onDied = () => {};
+  const queue = createDeliveryQueue({
+    file,
+    deadFile,
+    maxAttempts: 1,
+    send: async () => {
+      throw new Error("down");
+    },
+    onDead: (delivery) => {
+      died.push(delivery);
+      onDied();
+    },
+    onDeadDropped: (deliveries, reason) => dropped.push({ ids: deliveries.map((d) => d.id), reason }),
+    ...options
+  });
+
+  // Enqueue `count` deliveries and wait until all of them are dead-lettered
+  async function kill(count) {
+    const target = died.length + count;
+    const done = new Promise((resolve) => {
+      onDied = () => died.length >= target && resolve();
+    });
+    const deliveries = [];
+    for (let i = 0; i < count; i++) deliveries.push(queue.enqueue({ destination: "ava", url: "http://ava", payload: { i } }));
+    await done;
+    await queue.drain({ timeoutMs: 1000 });
+    return deliveries;
+  }
+
+  return { queue, dropped, kill };
+}
+
+test("keeps dead letters out of the pending file", async () => {
+  const { queue, kill } = failingQueue();
+  await queue.start();
+  const [delivery] = await kill(1);
+
+  assert.deepEqual(read(file), { pending: [] });
+  assert.deepEqual(read(deadFile).dead.map((d) => d.id), [delivery.id]);
+  assert.equal(read(deadFile).dead[0].lastError, "down");
+});
+
+test("drops the oldest dead letters beyond maxDead", async () => {
+  const { queue, dropped, kill } = failingQueue({ maxDead: 2 });
+  await queue.start();
+  const deliveries = await kill(3);
+
+  assert.equal(queue.stats().dead, 2);
+  assert.equal(read(deadFile).dead.length, 2);
+  assert.equal(dropped.length, 1);
+  assert.equal(dropped[0].reason, "limit");
+  assert.equal(dropped[0].ids.length, 1);
+  assert.ok(deliveries.some((d) => d.id === dropped[0].ids[0]));
+});
+
+test("drops dead letters older than maxDeadAgeMs on start", async () => {
+  const old = { id: "old", deadAt: new Date(Date.now() - 2 * 60 * 60 * 1000).toISOString() };
+  const recent = { id: "recent", deadAt: new Date().toISOString() };
+  fs.writeFileSync(deadFile, JSON.stringify({ dead: [old, recent] }));
+
+  const { queue, dropped } = failingQueue({ maxDeadAgeMs: 60 * 60 * 1000 });
+  await queue.start();
+
+  assert.deepEqual(queue.listDead().map((d) => d.id), ["recent"]);
+  assert.deepEqual(dropped, [{ ids: ["old"], reason: "age" }]);
+  assert.deepEqual(read(deadFile).dead.map((d) => d.id), ["recent"]);
+  queue.stop();
+});
+
+test("moves dead letters from an older combined file to deadFile", async () => {
+  const dead = { id: "legacy", deadAt: new Date().toISOString() };
+  fs.writeFileSync(file, JSON.stringify({ pending: [], dead: [dead] }));
+
+  const { queue } = failingQueue();
+  await queue.start();
+
+  assert.deepEqual(queue.listDead().map((d) => d.id), ["legacy"]);
+  assert.deepEqual(read(file), { pending: [] });
+  assert.deepEqual(read(deadFile).dead.map((d) => d.id), ["legacy"]);
+  queue.stop();
+});
+
+test("replaying moves dead letters back to the pending file", async () => {
+  const { queue } = failingQueue();
+  const dead = { id: "d1", destination: "ava", attempts: 1, deadAt: new Date().toISOString() };
+  fs.writeFileSync(deadFile, JSON.stringify({ dead: [dead] }));
+  await queue.start();
+  queue.stop();
+
+  const replayed = await queue.replayDead(["d1"]);
+  assert.deepEqual(replayed.map((d) => d.id), ["d1"]);
+  assert.deepEqual(read(deadFile), { dead: [] });
+  assert.deepEqual(read(file).pending.map((d) => d.id), ["d1"]);
+});
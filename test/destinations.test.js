@@ -0,0 +1,58 @@
+// test/destinations.test.js
+// The admin destinations API never shows credentials, and a redacted definition sent
+// back keeps them.
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const axios = require("axios");
+const { startHarness, sendPush } = require("../harness");
+
+let harness;
+let admin;
+
+before(async () => {
+  harness = await startHarness({ logLevel: "error" });
+  admin = axios.create({ baseURL: `${harness.bridgeUrl}/admin/destinations`, headers: harness.authHeaders, validateStatus: () => true });
+});
+
+after(() => harness.stop());
+
+test("redacts secrets and auth credentials in every response", async () => {
+  const created = await admin.post("/", {
+    id: "basic",
+    url: `${harness.avaUrl}/basic`,
+    secret: "basic-secret",
+    auth: { type: "basic", username: "bridge", password: "hunter2" },
+    headers: { "X-Api-Key": "key-123", "X-Team": "ops" },
+    filter: { channels: ["/item/9001"] }
+  });
+  assert.equal(created.status, 201);
+
+  const listed = (await admin.get("/")).data.destinations.find((d) => d.id === "basic");
+  for (const destination of [created.data, (await admin.get("/basic")).data, listed]) {
+    assert.equal(destination.secret, "[REDACTED]");
+    assert.deepEqual(destination.auth, { type: "basic", username: "bridge", password: "[REDACTED]" });
+    assert.deepEqual(destination.headers, { "X-Api-Key": "[REDACTED]", "X-Team": "ops" });
+  }
+  assert.doesNotMatch(JSON.stringify((await admin.get("/")).data), /basic-secret|hunter2|key-123/);
+});
+
+test("a redacted definition sent back with PUT keeps the saved credentials", async () => {
+  await admin.post("/", {
+    id: "bearer",
+    url: `${harness.avaUrl}/old`,
+    secret: harness.signingSecret,
+    auth: { type: "bearer", token: "real-token" },
+    filter: { channels: ["/item/9002"] }
+  });
+
+  const shown = (await admin.get("/bearer")).data;
+  assert.equal(shown.auth.token, "[REDACTED]");
+  const updated = await admin.put("/bearer", { ...shown, url: `${harness.avaUrl}/bearer` });
+  assert.equal(updated.status, 200);
+  assert.equal(updated.data.secret, "[REDACTED]");
+
+  await sendPush(`${harness.bridgeUrl}/podio/push`, { type: "item.update", item_id: 9002 }, { secret: harness.pushSecret });
+  const delivery = await harness.ava.waitFor((req) => req.path === "/bearer");
+  assert.equal(delivery.headers.authorization, "Bearer real-token");
+  assert.equal(delivery.verified.ok, true);
+});
@@ -0,0 +1,179 @@
+// test/enricher.test.js
+// Podio enrichment against the fake Podio API (harness/fakePodio.js): tokens, the TTL
+// cache and rate-limit handling, then end to end through the harness.
+const { test, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { createPodioClient } = require("../lib/podioClient");
+const { createEnricher } = require("../lib/enricher");
+const { toEnvelope } = require("../lib/envelope");
+const { createFakePodio, startHarness, sendPush } = require("../harness");
+
+let fake;
+let apiBase;
+
+beforeEach(async () => {
+  fake = createFakePodio();
+  apiBase = await fake.listen();
+});
+
+afterEach(() => fake.close());
+
+function client(options = {}) {
+  return createPodioClient({ clientId: fake.clientId, clientSecret: fake.clientSecret, apiBase, ...options });
+}
+
+function itemEvent(id, type = "item.update") {
+  return toEnvelope({ source: "webhook", raw: { type, item_id: id } });
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+test("fetches a client-credentials token once and reuses it", async () => {
+  const podio = client();
+  await Promise.all([podio.get("/item/1"), podio.get("/item/2"), podio.get("/task/3")]);
+  await podio.get("/item/4");
+
+  const grants = fake.tokenRequests();
+  assert.equal(grants.length, 1);
+  assert.equal(grants[0].grantType, "client_credentials");
+});
+
+test("uses app authentication when an app id and token are set", async () => {
+  await client({ appId: "42", appToken: "app-token" }).get("/item/1");
+  assert.deepEqual(fake.tokenRequests().map((r) => r.grantType), ["app"]);
+});
+
+test("fetches a new token when the old one is revoked", async () => {
+  const podio = client();
+  await podio.get("/item/1");
+  fake.revokeTokens();
+
+  assert.deepEqual(await podio.get("/item/1"), { item_id: 1, title: "item 1" });
+  assert.equal(fake.tokenRequests().length, 2);
+});
+
+test("attaches the fetched object and caches it for the TTL", async () => {
+  fake.put("/item/7", { item_id: 7, title: "Invoice", fields: [] });
+  const enricher = createEnricher({ podio: client(), ttlMs: 200 });
+
+  const [first, concurrent] = await Promise.all([enricher.enrich(itemEvent(7)), enricher.enrich(itemEvent(7))]);
+  assert.equal(first.enrichment.status, "ok");
+  assert.deepEqual(first.enrichment.data, { item_id: 7, title: "Invoice", fields: [] });
+  assert.deepEqual(concurrent.enrichment, first.enrichment);
+  assert.equal(fake.reads("/item/7"), 1);
+
+  const cached = await enricher.enrich(itemEvent(7));
+  assert.equal(cached.enrichment.fetched_at, first.enrichment.fetched_at);
+  assert.equal(fake.reads("/item/7"), 1);
+
+  await sleep(250);
+  await enricher.enrich(itemEvent(7));
+  assert.equal(fake.reads("/item/7"), 2);
+});
+
+test("skips deleted objects and types it does not enrich", async () => {
+  const enricher = createEnricher({ podio: client(), types: ["item"] });
+
+  const deleted = await enricher.enrich(itemEvent(8, "item.delete"));
+  assert.equal(deleted.enrichment.status, "skipped");
+  assert.equal(deleted.enrichment.error, "deleted");
+
+  const task = toEnvelope({ source: "webhook", raw: { type: "task.update", task_id: 9 } });
+  assert.equal((await enricher.enrich(task)).enrichment, undefined);
+  assert.equal(fake.reads(), 0);
+});
+
+test("records a failed read and still returns the event", async () => {
+  fake.failNext(500);
+  const outcomes = [];
+  const enricher = createEnricher({ podio: client(), onOutcome: (outcome) => outcomes.push(outcome) });
+
+  const envelope = await enricher.enrich(itemEvent(10));
+  assert.equal(envelope.enrichment.status, "error");
+  assert.match(envelope.enrichment.error, /500/);
+  assert.deepEqual(outcomes, ["error"]);
+});
+
+test("pauses reads after a 420 until the pause is over", async () => {
+  const podio = client();
+  const enricher = createEnricher({ podio });
+  fake.failNext(420);
+
+  const limited = await enricher.enrich(itemEvent(11));
+  assert.equal(limited.enrichment.status, "skipped");
+  assert.equal(limited.enrichment.error, "rate_limited");
+
+  // Without Retry-After the pause is five minutes
+  const pausedUntil = Date.parse(podio.rateLimit().pausedUntil);
+  assert.ok(pausedUntil > Date.now() + 4 * 60 * 1000);
+  assert.equal(podio.rateLimit().remaining, 0);
+
+  assert.equal((await enricher.enrich(itemEvent(12))).enrichment.error, "rate_limited");
+  assert.equal(fake.reads(), 1);
+});
+
+test("honours Retry-After on a 429", async () => {
+  const podio = client();
+  const enricher = createEnricher({ podio, minRemaining: 0 });
+  fake.failNext(429, { "Retry-After": "1" });
+
+  assert.equal((await enricher.enrich(itemEvent(13))).enrichment.error, "rate_limited");
+  assert.equal((await enricher.enrich(itemEvent(13))).enrichment.error, "rate_limited");
+  assert.equal(fake.reads(), 1);
+
+  await sleep(1100);
+  assert.equal((await enricher.enrich(itemEvent(13))).enrichment.status, "ok");
+  assert.equal(fake.reads(), 2);
+});
+
+test("stops enriching once X-Rate-Limit-Remaining reaches minRemaining", async () => {
+  fake.setRateLimit(1000, 102);
+  const podio = client();
+  const enricher = createEnricher({ podio, minRemaining: 100 });
+
+  assert.equal((await enricher.enrich(itemEvent(14))).enrichment.status, "ok");
+  assert.equal(podio.rateLimit().remaining, 101);
+  assert.equal((await enricher.enrich(itemEvent(15))).enrichment.status, "ok");
+  assert.deepEqual(podio.rateLimit(), { limit: 1000, remaining: 100, pausedUntil: null });
+
+  const skipped = await enricher.enrich(itemEvent(16));
+  assert.equal(skipped.enrichment.error, "rate_limited");
+  assert.equal(fake.reads(), 2);
+
+  // Cached objects are still served
+  assert.equal((await enricher.enrich(itemEvent(15))).enrichment.status, "ok");
+});
+
+test("reads again once the remaining count is older than the rate-limit window", async () => {
+  fake.setRateLimit(1000, 100);
+  const podio = client({ rateLimitWindowMs: 200 });
+  const enricher = createEnricher({ podio, minRemaining: 100 });
+
+  await enricher.enrich(itemEvent(17));
+  assert.equal((await enricher.enrich(itemEvent(18))).enrichment.error, "rate_limited");
+
+  fake.setRateLimit(1000);
+  await sleep(250);
+  assert.equal(podio.rateLimit().remaining, null);
+  assert.equal((await enricher.enrich(itemEvent(18))).enrichment.status, "ok");
+  assert.equal(podio.rateLimit().remaining, 999);
+});
+
+test("PODIO_ENRICH=true forwards enriched events", async () => {
+  const harness = await startHarness({ logLevel: "error", env: { PODIO_ENRICH: "true" } });
+  try {
+    harness.podio.put("/item/801", { item_id: 801, title: "Enriched" });
+    const res = await sendPush(`${harness.bridgeUrl}/podio/push`, { type: "item.update", item_id: 801 }, {
+      secret: harness.pushSecret
+    });
+    assert.equal(res.status, 200);
+
+    const delivery = await harness.ava.waitFor((req) => req.body.channel === "/item/801");
+    assert.equal(delivery.body.enrichment.status, "ok");
+    assert.deepEqual(delivery.body.enrichment.data, { item_id: 801, title: "Enriched" });
+  } finally {
+    await harness.stop();
+  }
+});
@@ -0,0 +1,78 @@
+// test/eventJournal.test.js
+const { test, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { createEventJournal } = require("../lib/eventJournal");
+
+let dir;
+let file;
+
+beforeEach(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), "pushy-journal-"));
+  file = path.join(dir, "events.jsonl");
+});
+
+afterEach(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+function entry(id, channel, receivedAt) {
+  return { id, receivedAt, source: "webhook", channel, eventType: "task.update", correlationId: null, payload: { id } };
+}
+
+function writeEntries(entries) {
+  fs.writeFileSync(file, entries.map((e) => `${JSON.stringify(e)}\n`).join(""));
+}
+
+test("filters by channel pattern, time range and ids", async () => {
+  writeEntries([
+    entry("a", "/task/1", "2024-01-01T10:00:00.000Z"),
+    entry("b", "/item/1", "2024-01-01T11:00:00.000Z"),
+    entry("c", "/task/2", "2024-01-01T12:00:00.000Z"),
+    entry("d", "/task/3", "2024-01-01T13:00:00.000Z")
+  ]);
+  const journal = createEventJournal({ file });
+  const ids = async (filters) => (await journal.query(filters)).map((e) => e.id);
+
+  assert.deepEqual(await ids({ channel: "/task/*" }), ["a", "c", "d"]);
+  assert.deepEqual(await ids({ since: "2024-01-01T11:00:00Z", until: "2024-01-01T12:00:00Z" }), ["b", "c"]);
+  assert.deepEqual(await ids({ since: Date.parse("2024-01-01T12:30:00Z") }), ["d"]);
+  assert.deepEqual(await ids({ ids: ["d", "a", "x"] }), ["a", "d"]);
+});
+
+test("returns the newest matches when there are more than limit", async () => {
+  const journal = createEventJournal({ file });
+  for (let i = 0; i < 6; i++) journal.append({ id: `e${i}`, source: "faye", channel: i % 2 ? "/item/1" : "/task/1" });
+
+  assert.deepEqual((await journal.query({ limit: 2 })).map((e) => e.id), ["e4", "e5"]);
+  assert.deepEqual((await journal.query({ channel: "/task/*", limit: 2 })).map((e) => e.id), ["e2", "e4"]);
+  await journal.stop();
+});
+
+test("skips a torn last line", async () => {
+  fs.writeFileSync(file, `${JSON.stringify(entry("a", "/task/1", new Date().toISOString()))}\n{"id":"b","recei`);
+  const journal = createEventJournal({ file });
+  assert.deepEqual((await journal.query()).map((e) => e.id), ["a"]);
+});
+
+test("compaction drops entries older than maxAgeMs", async () => {
+  const old = new Date(Date.now() - 2 * 60 * 60 * 1000).toISOString();
+  writeEntries([entry("old", "/task/1", old), entry("new", "/task/2", new Date().toISOString())]);
+  const journal = createEventJournal({ file, maxAgeMs: 60 * 60 * 1000 });
+
+  await journal.compact();
+  assert.deepEqual((await journal.query()).map((e) => e.id), ["new"]);
+  assert.equal(fs.readFileSync(file, "utf8").trim().split("\n").length, 1);
+});
+
+test("drops the oldest entries once the file grows past maxBytes", async () => {
+  const journal = createEventJournal({ file, maxBytes: 2000 });
+  for (let i = 0; i < 40; i++) journal.append({ id: `e${i}`, source: "webhook", channel: "/task/1", payload: { i } });
+  await journal.stop();
+
+  assert.ok(fs.statSync(file).size <= 2000);
+  const kept = (await journal.query({ limit: 1000 })).map((e) => e.id);
+  assert.ok(kept.length > 0 && kept.length < 40);
+  assert.equal(kept[kept.length - 1], "e39");
+  assert.deepEqual(kept, kept.slice().sort((a, b) => Number(a.slice(1)) - Number(b.slice(1))));
+});
@@ -0,0 +1,67 @@
+// test/events.test.js
+// GET /events and POST /events/replay through the harness.
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const axios = require("axios");
+const { startHarness, sendPush } = require("../harness");
+
+let harness;
+let client;
+
+before(async () => {
+  harness = await startHarness({ logLevel: "error" });
+  client = axios.create({ baseURL: harness.bridgeUrl, headers: harness.authHeaders, validateStatus: () => true });
+
+  await client.post("/admin/destinations", { id: "audit", url: `${harness.avaUrl}/audit`, filter: { channels: ["/item/9*"] } });
+  for (const id of [901, 902, 903]) {
+    await sendPush(`${harness.bridgeUrl}/podio/push`, { type: "item.update", item_id: id }, { secret: harness.pushSecret });
+  }
+  await harness.ava.waitFor((req) => req.path === "/audit" && req.body.channel === "/item/903");
+});
+
+after(() => harness.stop());
+
+function deliveriesTo(path, channel) {
+  return harness.ava.received.filter((req) => req.path === path && req.body.channel === channel).length;
+}
+
+async function waitForCount(path, channel, count) {
+  await harness.ava.waitFor(() => deliveriesTo(path, channel) >= count);
+  await new Promise((resolve) => setTimeout(resolve, 200));
+  assert.equal(deliveriesTo(path, channel), count);
+}
+
+test("lists journaled events, newest last, filtered by channel", async () => {
+  const res = await client.get("/events?channel=/item/90*&limit=2");
+  assert.equal(res.status, 200);
+  assert.equal(res.data.count, 2);
+  assert.deepEqual(res.data.events.map((e) => e.channel), ["/item/902", "/item/903"]);
+  assert.equal(res.data.events[0].payload.source, "webhook");
+
+  assert.equal((await axios.get(`${harness.bridgeUrl}/events`, { validateStatus: () => true })).status, 401);
+});
+
+test("replays an event to every matching destination", async () => {
+  const [event] = (await client.get("/events?channel=/item/901")).data.events;
+  const res = await client.post("/events/replay", { ids: [event.id] });
+  assert.equal(res.status, 200);
+  assert.equal(res.data.events, 1);
+  assert.deepEqual(res.data.deliveries.map((d) => d.destination).sort(), ["audit", "ava"]);
+
+  await waitForCount("/ava", "/item/901", 2);
+  await waitForCount("/audit", "/item/901", 2);
+});
+
+test("replays a time range to one destination only", async () => {
+  const [event] = (await client.get("/events?channel=/item/902")).data.events;
+  const res = await client.post("/events/replay", { since: event.receivedAt, until: event.receivedAt, destination: "audit" });
+  assert.deepEqual(res.data.deliveries.map((d) => [d.destination, d.eventId]), [["audit", event.id]]);
+
+  await waitForCount("/audit", "/item/902", 2);
+  assert.equal(deliveriesTo("/ava", "/item/902"), 1);
+});
+
+test("rejects a replay without ids or range, or to an unknown destination", async () => {
+  assert.equal((await client.post("/events/replay", { channel: "/item/*" })).status, 400);
+  assert.equal((await client.post("/events/replay", { ids: ["x"], destination: "nowhere" })).status, 404);
+});
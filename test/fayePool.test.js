@@ -0,0 +1,47 @@
+// test/fayePool.test.js
+// The Faye client pool against the harness's Bayeux server.
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { createFayePool } = require("../lib/fayePool");
+const { createFayeServer } = require("../harness");
+
+let faye;
+let endpoint;
+
+before(async () => {
+  faye = createFayeServer();
+  endpoint = await faye.listen();
+});
+
+after(() => faye.close());
+
+async function waitForClients(count, timeoutMs = 5000) {
+  const deadline = Date.now() + timeoutMs;
+  while (faye.clients() !== count) {
+    if (Date.now() > deadline) throw new Error(`${faye.clients()} Bayeux clients connected, expected ${count}`);
+    await new Promise((resolve) => setTimeout(resolve, 20));
+  }
+}
+
+test("a client released while it is still connecting disconnects once it is up", async () => {
+  const pool = createFayePool({ endpoint });
+  for (let i = 0; i < 5; i++) {
+    const channel = `/item/${i}`;
+    pool.subscribe(channel, faye.credentialsFor(channel), () => {});
+    pool.unsubscribe(channel);
+  }
+
+  assert.deepEqual(pool.stats().clients, []);
+  await waitForClients(0);
+});
+
+test("shares a client between channels and closes it with the last one", async () => {
+  const pool = createFayePool({ endpoint, maxChannelsPerClient: 2 });
+  await Promise.all(["/task/1", "/task/2", "/task/3"].map((channel) => pool.subscribe(channel, faye.credentialsFor(channel), () => {})));
+  assert.deepEqual(pool.stats().clients.map((c) => c.channels).sort(), [1, 2]);
+  await waitForClients(2);
+
+  pool.close();
+  assert.deepEqual(pool.stats().clients, []);
+  await waitForClients(0);
+});
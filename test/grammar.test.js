@@ -0,0 +1,103 @@
+// test/grammar.test.js
+// Startup validation of page grammars (grammar/index.js), and the blocks they render.
+var test = require('node:test');
+var assert = require('node:assert/strict');
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var MersenneTwister = require('mersenne-twister');
+var grammarModule = require('../grammar');
+var locales = require('../locales');
+
+var CLAUSE = {template: [{clause: []}]};
+
+// A valid grammar with `rules` merged over its rules
+function grammarWith(rules, maxDepth) {
+  return {
+    maxDepth: maxDepth,
+    rules: Object.assign({title: [CLAUSE], sentence: [CLAUSE], block: [{sentences: {min: 1, max: 1}}]}, rules)
+  };
+}
+
+function validate(grammar) {
+  return grammarModule.validateGrammar(grammar, locales.conjunctions);
+}
+
+test('the default grammar is valid', function() {
+  var grammar = JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'grammar', 'default.json'), 'utf8'));
+  assert.doesNotThrow(function() { validate(grammar); });
+});
+
+test('rejects a reference to an unknown rule', function() {
+  assert.throws(function() {
+    validate(grammarWith({sentence: [{template: ['missing']}]}));
+  }, /rules\.sentence\[0\]\.template\[0\]: unknown rule "missing"/);
+  assert.throws(function() {
+    validate(grammarWith({sentence: [{template: ['constructor']}]}));
+  }, /unknown rule "constructor"/);
+});
+
+test('rejects an unknown conjunction', function() {
+  assert.throws(function() {
+    validate(grammarWith({sentence: [{template: [{clause: []}, {conj: 'unless'}, {clause: []}]}]}));
+  }, /rules\.sentence\[0\]\.template\[1\]: conj must be one of because, when/);
+});
+
+test('rejects a rule that never stops recursing', function() {
+  assert.throws(function() {
+    validate(grammarWith({sentence: [{template: ['loop']}], loop: [{template: [{text: 'and'}, 'loop']}]}));
+  }, /rule "sentence" never stops recursing/);
+});
+
+test('accepts recursion with a way out', function() {
+  assert.doesNotThrow(function() {
+    validate(grammarWith({sentence: [{template: ['loop']}], loop: [CLAUSE, {template: [{clause: []}, {conj: 'and'}, 'loop']}]}));
+  });
+});
+
+test('rejects a rule that needs more than maxDepth levels', function() {
+  var rules = {sentence: [{template: ['middle']}], middle: [{template: ['inner']}], inner: [CLAUSE]};
+  assert.throws(function() {
+    validate(grammarWith(rules, 1));
+  }, /rule "sentence" needs 2 levels, more than maxDepth 1/);
+  // Paragraph blocks expand "sentence", one level further down
+  assert.throws(function() { validate(grammarWith(rules, 2)); }, /rule "block" needs 3 levels/);
+  assert.doesNotThrow(function() { validate(grammarWith(rules, 3)); });
+});
+
+test('renders heading, quote and list blocks', function() {
+  var dir = fs.mkdtempSync(path.join(os.tmpdir(), 'pushy-grammar-'));
+  var file = path.join(dir, 'grammar.json');
+  var locale = locales.getLocale('en');
+
+  function renderBlock(alternative) {
+    fs.writeFileSync(file, JSON.stringify(grammarWith({block: [alternative]})));
+    return grammarModule.loadGrammar(file, locales.conjunctions).block(new MersenneTwister(7), locale);
+  }
+
+  try {
+    var heading = renderBlock({type: 'heading', template: [{text: 'about'}, {word: 'noun'}]});
+    assert.equal(heading.type, 'heading');
+    assert.match(heading.text, /^About \S+$/);
+
+    var quote = renderBlock({type: 'quote', template: ['sentence', {text: '!'}]});
+    assert.equal(quote.type, 'quote');
+    assert.match(quote.text, /^[A-Z].*\S!$/);
+
+    var list = renderBlock({type: 'list', items: {min: 3, max: 3}, template: [{word: 'adjective'}, {word: 'noun'}]});
+    assert.equal(list.type, 'list');
+    assert.equal(list.items.length, 3);
+    list.items.forEach(function(item) { assert.match(item, /^\S+ \S+$/); });
+  } finally {
+    fs.rmSync(dir, {recursive: true, force: true});
+  }
+});
+
+test('rejects a list without items and an unknown block type', function() {
+  assert.throws(function() {
+    validate(grammarWith({block: [{type: 'list', template: [CLAUSE.template[0]]}]}));
+  }, /a list needs "items"/);
+  assert.throws(function() {
+    validate(grammarWith({block: [{type: 'table', template: [CLAUSE.template[0]]}]}));
+  }, /type must be one of paragraph, heading, quote, list/);
+});
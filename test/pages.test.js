@@ -0,0 +1,125 @@
+// test/pages.test.js
+// Snapshots of generated pages: the same host + path must always produce the same
+// title, paragraphs and links, in every process. Run with UPDATE_SNAPSHOTS=1 to
+// rewrite test/snapshots/pages.json after an intended change to the generator.
+var test = require('node:test');
+var assert = require('node:assert/strict');
+var fs = require('fs');
+var path = require('path');
+var axios = require('axios');
+var express = require('express');
+var md5 = require('md5');
+
+var SNAPSHOTS = path.join(__dirname, 'snapshots', 'pages.json');
+
+// host, path (as requested, so encoded) and query
+var PAGES = [
+  ['example.com', '/', '?paragraphs=3&sentences=2&links=3'],
+  ['example.com', '/The/wild/fox/runs', '?paragraphs=4&sentences=3&links=4'],
+  ['blog.example.org', '/The/wild/fox/runs', '?paragraphs=4&sentences=3&links=4'],
+  ['es.example.com', '/Un/ni%C3%B1o/verde/canta', '?paragraphs=3&sentences=2&links=3'],
+  ['example.com', '/', '?lang=es&paragraphs=2&sentences=2&links=2'],
+  ['example.com', '/a/page/at/full/size', '']
+];
+
+var server;
+var baseUrl;
+
+test.before(function() {
+  var app = express();
+  app.use(require('../routes/index'));
+  return new Promise(function(resolve) {
+    server = app.listen(0, '127.0.0.1', function() {
+      baseUrl = 'http://127.0.0.1:' + server.address().port;
+      resolve();
+    });
+  });
+});
+
+test.after(function() {
+  return new Promise(function(resolve) { server.close(resolve); });
+});
+
+function fetchPage(host, pagePath, query) {
+  var separator = query ? '&' : '?';
+  return axios.get(baseUrl + pagePath + query + separator + 'format=json', {headers: {Host: host}}).then(function(res) {
+    return res.data;
+  });
+}
+
+// Full-size pages run to a hundred paragraphs, so their paragraphs are pinned by hash
+function snapshotOf(page, query) {
+  return {
+    title: page.title,
+    paragraphs: query ? page.paragraphs : {count: page.paragraphs.length, md5: md5(JSON.stringify(page.paragraphs))},
+    links: page.links
+  };
+}
+
+test('pages match their snapshots', function() {
+  return Promise.all(PAGES.map(function(entry) {
+    return fetchPage(entry[0], entry[1], entry[2]).then(function(page) {
+      return [entry.join(''), snapshotOf(page, entry[2])];
+    });
+  })).then(function(results) {
+    var actual = {};
+    results.forEach(function(result) { actual[result[0]] = result[1]; });
+
+    if (process.env.UPDATE_SNAPSHOTS) {
+      fs.mkdirSync(path.dirname(SNAPSHOTS), {recursive: true});
+      fs.writeFileSync(SNAPSHOTS, JSON.stringify(actual, null, 2) + '\n');
+    }
+    assert.deepEqual(actual, JSON.parse(fs.readFileSync(SNAPSHOTS, 'utf8')));
+  });
+});
+
+test('the same URL renders the same page on every request', function() {
+  return Promise.all([
+    fetchPage('example.com', '/The/wild/fox/runs', ''),
+    fetchPage('example.com', '/The/wild/fox/runs', '')
+  ]).then(function(pages) {
+    assert.deepEqual(pages[0], pages[1]);
+  });
+});
+
+test('/api/page/<path> returns the page at /<path>', function() {
+  var pages = [['/', ''], ['/The/wild/fox/runs', ''], ['/Un/ni%C3%B1o/verde/canta', '?lang=es'], ['/caf%C3%A9%20con%20leche', '']];
+  return Promise.all(pages.map(function(entry) {
+    return Promise.all([
+      fetchPage('example.com', entry[0], entry[1]),
+      fetchPage('example.com', '/api/page' + entry[0], entry[1])
+    ]).then(function(results) {
+      assert.deepEqual(results[1], results[0], entry.join(''));
+    });
+  }));
+});
+
+test('a link title is the title of the page it leads to', function() {
+  return fetchPage('example.com', '/', '?links=3').then(function(page) {
+    return Promise.all(page.links.map(function(link) {
+      return fetchPage('example.com', link.href, '').then(function(linked) {
+        assert.equal(linked.title, link.title);
+      });
+    }));
+  });
+});
+
+test('an unknown ?lang= is a 400, even one naming an Object property', function() {
+  return Promise.all(['xx', 'constructor', 'toString', '__proto__'].map(function(lang) {
+    return axios.get(baseUrl + '/?lang=' + lang, {headers: {Host: 'example.com'}, validateStatus: null}).then(function(res) {
+      assert.equal(res.status, 400, lang);
+    });
+  }));
+});
+
+test('hosts whose first label names an Object property get the default locale', function() {
+  return Promise.all([
+    fetchPage('example.com', '/The/wild/fox/runs', ''),
+    fetchPage('constructor.example.com', '/The/wild/fox/runs', ''),
+    fetchPage('toString.example.com', '/The/wild/fox/runs', '')
+  ]).then(function(pages) {
+    assert.equal(pages[0].lang, 'en');
+    assert.equal(pages[1].lang, 'en');
+    assert.equal(pages[2].lang, 'en');
+  });
+});
@@ -0,0 +1,107 @@
+// test/podioPush.test.js
+// /podio/push against the harness: the verification handshake, raw-body signatures,
+// secret rotation and the replay window.
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+const axios = require("axios");
+const { startHarness, signPush, sendPush } = require("../harness");
+
+const PREVIOUS_SECRET = "previous-push-secret";
+const BASE_URL = "https://bridge.example.com";
+
+let harness;
+let pushUrl;
+
+before(async () => {
+  harness = await startHarness({ logLevel: "error", env: { PODIO_PUSH_SECRET_PREVIOUS: PREVIOUS_SECRET, APP_BASE_URL: BASE_URL } });
+  pushUrl = `${harness.bridgeUrl}/podio/push`;
+});
+
+after(() => harness.stop());
+
+function post(body, headers = {}) {
+  return axios.post(pushUrl, body, { headers: { "Content-Type": "application/json", ...headers }, validateStatus: () => true });
+}
+
+async function journaled() {
+  const res = await axios.get(`${harness.bridgeUrl}/events`, { headers: harness.authHeaders });
+  return res.data.count;
+}
+
+test("answers the verification handshake without a signature", async () => {
+  const before = await journaled();
+  const res = await post({ type: "subscription_verification", challenge: "c-123" });
+  assert.equal(res.status, 200);
+  assert.deepEqual(res.data, { status: "ok", subscribe_url: `${BASE_URL}/podio/push`, challenge: "c-123" });
+  assert.equal(await journaled(), before);
+});
+
+test("a verification request without a challenge must be signed", async () => {
+  const res = await post({ type: "subscription_verification" });
+  assert.equal(res.status, 401);
+});
+
+test("verifies the raw bytes, whatever their key order and whitespace", async () => {
+  const body = '{ "item_id" : 701,\n  "type": "item.update" }';
+  const { headers } = signPush({ payload: body, secret: harness.pushSecret });
+  const res = await post(body, headers);
+  assert.equal(res.status, 200);
+  await harness.ava.waitFor((req) => req.body.channel === "/item/701");
+});
+
+test("accepts pushes signed with the previous secret", async () => {
+  const res = await sendPush(pushUrl, { type: "item.update", item_id: 702 }, { secret: PREVIOUS_SECRET });
+  assert.equal(res.status, 200);
+});
+
+test("rejects a replayed push with 409", async () => {
+  const { body, headers } = signPush({ payload: { type: "item.update", item_id: 703 }, secret: harness.pushSecret });
+  assert.equal((await post(body, headers)).status, 200);
+  assert.equal((await post(body, headers)).status, 409);
+  assert.equal((await post(body, { ...headers, "X-Podio-Nonce": "another-nonce" })).status, 401);
+});
+
+test("rejects pushes that are stale or carry no timestamp", async () => {
+  const stale = await sendPush(pushUrl, { type: "item.update", item_id: 704 }, {
+    secret: harness.pushSecret,
+    timestamp: Math.floor(Date.now() / 1000) - 301
+  });
+  assert.equal(stale.status, 401);
+
+  const { body, headers } = signPush({ payload: { type: "item.update", item_id: 705 }, secret: harness.pushSecret });
+  delete headers["X-Podio-Timestamp"];
+  assert.equal((await post(body, headers)).status, 401);
+});
+
+test("rejects every signed push when no secret is configured", async () => {
+  const unconfigured = await startHarness({ logLevel: "error", env: { PODIO_PUSH_SECRET: "" } });
+  try {
+    const url = `${unconfigured.bridgeUrl}/podio/push`;
+    const { body, headers } = signPush({ payload: { type: "item.update", item_id: 706 }, secret: "" });
+    const res = await axios.post(url, body, { headers, validateStatus: () => true });
+    assert.equal(res.status, 401);
+
+    const handshake = await axios.post(url, { type: "subscription_verification", challenge: "c-456" });
+    assert.equal(handshake.data.challenge, "c-456");
+  } finally {
+    await unconfigured.stop();
+  }
+});
+
+test("PODIO_PUSH_ALLOW_BODY_SIGNATURE=true accepts body-only signatures from older senders", async () => {
+  const body = JSON.stringify({ type: "item.update", item_id: 8801 });
+  const headers = { "X-Podio-Signature": crypto.createHmac("sha1", harness.pushSecret).update(body).digest("hex") };
+  assert.equal((await post(body, headers)).status, 401);
+
+  const migrating = await startHarness({ logLevel: "error", env: { PODIO_PUSH_ALLOW_BODY_SIGNATURE: "true" } });
+  try {
+    const url = `${migrating.bridgeUrl}/podio/push`;
+    const options = { headers: { "Content-Type": "application/json", ...headers }, validateStatus: () => true };
+    assert.equal((await axios.post(url, body, options)).status, 200);
+    await migrating.ava.waitFor((req) => req.body.channel === "/item/8801");
+    assert.equal((await axios.post(url, body, options)).status, 409);
+  } finally {
+    await migrating.stop();
+  }
+});
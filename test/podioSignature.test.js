@@ -0,0 +1,110 @@
+// test/podioSignature.test.js
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+const { createPushVerifier } = require("../lib/podioSignature");
+const { signPush } = require("../harness/signedPush");
+
+const SECRET = "push-secret";
+const NOW = Date.UTC(2024, 0, 1);
+const nowSeconds = Math.floor(NOW / 1000);
+
+// The verify() arguments for a push signed with `options`, as /podio/push would pass them
+function signed(options = {}) {
+  const { body, headers } = signPush({ payload: { type: "item.update", item_id: 1 }, secret: SECRET, timestamp: nowSeconds, ...options });
+  return {
+    rawBody: Buffer.from(body),
+    signature: headers["X-Podio-Signature"],
+    timestamp: headers["X-Podio-Timestamp"],
+    nonce: headers["X-Podio-Nonce"],
+    now: NOW
+  };
+}
+
+test("accepts a push signed over timestamp, nonce and raw body", () => {
+  const verifier = createPushVerifier({ secrets: [SECRET] });
+  assert.deepEqual(verifier.verify(signed()), { ok: true });
+});
+
+test("accepts the previous secret while rotating", () => {
+  const verifier = createPushVerifier({ secrets: ["new-secret", SECRET] });
+  assert.deepEqual(verifier.verify(signed()), { ok: true });
+});
+
+test("rejects a missing or wrong signature", () => {
+  const verifier = createPushVerifier({ secrets: [SECRET] });
+  assert.equal(verifier.verify({ ...signed(), signature: undefined }).reason, "missing_signature");
+  assert.equal(verifier.verify({ ...signed(), signature: "ab".repeat(20) }).reason, "invalid_signature");
+  assert.equal(verifier.verify({ ...signed(), rawBody: Buffer.from('{"type":"item.delete","item_id":1}') }).reason, "invalid_signature");
+});
+
+test("rejects a push without a timestamp", () => {
+  const verifier = createPushVerifier({ secrets: [SECRET] });
+  assert.equal(verifier.verify({ ...signed(), timestamp: undefined }).reason, "missing_timestamp");
+});
+
+test("rejects a push outside the window", () => {
+  const verifier = createPushVerifier({ secrets: [SECRET], windowSeconds: 300 });
+  assert.equal(verifier.verify(signed({ timestamp: nowSeconds - 301 })).reason, "stale");
+  assert.equal(verifier.verify(signed({ timestamp: nowSeconds + 301 })).reason, "stale");
+});
+
+test("rejects the same push twice", () => {
+  const verifier = createPushVerifier({ secrets: [SECRET] });
+  const push = signed();
+  assert.deepEqual(verifier.verify(push), { ok: true });
+  assert.equal(verifier.verify(push).reason, "replay");
+  assert.equal(verifier.verify({ ...push, signature: push.signature.toUpperCase() }).reason, "replay");
+});
+
+test("a captured push cannot be resent with a new nonce or a fresh timestamp", () => {
+  const verifier = createPushVerifier({ secrets: [SECRET], windowSeconds: 300 });
+  const push = signed();
+  assert.deepEqual(verifier.verify(push), { ok: true });
+
+  assert.equal(verifier.verify({ ...push, nonce: "another-nonce" }).reason, "invalid_signature");
+
+  const later = NOW + 10 * 60 * 1000;
+  assert.equal(verifier.verify({ ...push, now: later }).reason, "stale");
+  assert.equal(verifier.verify({ ...push, timestamp: String(later / 1000), now: later }).reason, "invalid_signature");
+  assert.equal(verifier.verify({ ...push, timestamp: undefined, now: later }).reason, "missing_timestamp");
+});
+
+test("distinct pushes with the same body are accepted", () => {
+  const verifier = createPushVerifier({ secrets: [SECRET] });
+  assert.deepEqual(verifier.verify(signed({ nonce: "a" })), { ok: true });
+  assert.deepEqual(verifier.verify(signed({ nonce: "b" })), { ok: true });
+});
+
+test("rejects every push when no secret is configured", () => {
+  for (const secrets of [[], [undefined, undefined], ["", null]]) {
+    const verifier = createPushVerifier({ secrets });
+    assert.equal(verifier.isConfigured(), false);
+    assert.equal(verifier.verify(signed({ secret: "" })).reason, "not_configured");
+  }
+});
+
+test("accepts a body-only signature only when allowBodyOnly is set", () => {
+  const body = '{"type":"item.update","item_id":1}';
+  const push = {
+    rawBody: Buffer.from(body),
+    signature: crypto.createHmac("sha1", SECRET).update(body).digest("hex"),
+    now: NOW
+  };
+
+  assert.equal(createPushVerifier({ secrets: [SECRET] }).verify(push).reason, "missing_timestamp");
+  assert.equal(createPushVerifier({ secrets: [SECRET] }).verify({ ...push, timestamp: String(nowSeconds) }).reason, "invalid_signature");
+
+  const verifier = createPushVerifier({ secrets: [SECRET], allowBodyOnly: true });
+  assert.deepEqual(verifier.verify(push), { ok: true, bodyOnly: true });
+  assert.equal(verifier.verify(push).reason, "replay");
+  assert.equal(verifier.verify({ ...push, signature: "ab".repeat(20) }).reason, "invalid_signature");
+  assert.equal(
+    createPushVerifier({ secrets: [SECRET], allowBodyOnly: true }).verify({ ...push, timestamp: String(nowSeconds - 600) }).reason,
+    "stale"
+  );
+
+  // Timestamped pushes are still checked the same way
+  assert.deepEqual(verifier.verify(signed()), { ok: true });
+  assert.equal(verifier.verify({ ...signed({ nonce: "n" }), nonce: "other" }).reason, "invalid_signature");
+});
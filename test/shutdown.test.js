@@ -0,0 +1,63 @@
+// test/shutdown.test.js
+// Graceful shutdown through the harness: readiness flips to "stopping", Faye clients are
+// disconnected, and a delivery that cannot finish before the deadline stays persisted.
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const http = require("http");
+const path = require("path");
+const axios = require("axios");
+const { startHarness, sendPush } = require("../harness");
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+async function waitUntil(predicate, timeoutMs = 5000) {
+  const deadline = Date.now() + timeoutMs;
+  while (!(await predicate())) {
+    if (Date.now() > deadline) throw new Error("Condition not met in time");
+    await sleep(50);
+  }
+}
+
+test("shuts down in order and keeps unfinished deliveries", async () => {
+  const harness = await startHarness({ logLevel: "error", env: { SHUTDOWN_TIMEOUT_SECONDS: "1", DELIVERY_MAX_ATTEMPTS: "100" } });
+  // A second listener on the same app stands in for the load balancer's health check,
+  // which still reaches the process once the bridge's own server stops accepting
+  const probe = http.createServer(harness.bridge.app);
+  await new Promise((resolve) => probe.listen(0, "127.0.0.1", resolve));
+  const health = () => axios.get(`http://127.0.0.1:${probe.address().port}/health`, { validateStatus: () => true });
+
+  try {
+    const client = axios.create({ baseURL: harness.bridgeUrl, headers: harness.authHeaders });
+    const channel = "/item/1201";
+    await client.post("/subscribe", { push: harness.faye.credentialsFor(channel) });
+    await waitUntil(async () => (await client.get(`/subscriptions${channel}`)).data.state === "active");
+    assert.ok(harness.faye.clients() > 0);
+    assert.equal((await health()).status, 200);
+
+    harness.ava.setStatus(500);
+    await sendPush(`${harness.bridgeUrl}/podio/push`, { type: "item.update", item_id: 1202 }, { secret: harness.pushSecret });
+    await harness.ava.waitFor((req) => req.body.channel === "/item/1202");
+
+    const stopped = harness.bridge.shutdown("SIGTERM");
+
+    const report = await health();
+    assert.equal(report.status, 503);
+    assert.equal(report.data.status, "stopping");
+
+    assert.equal(await stopped, true);
+
+    const { pending } = JSON.parse(fs.readFileSync(path.join(harness.dataDir, "deliveries.json"), "utf8"));
+    assert.equal(pending.length, 1);
+    assert.equal(pending[0].payload.channel, "/item/1202");
+    assert.ok(pending[0].attempts >= 1);
+
+    await waitUntil(() => harness.faye.clients() === 0);
+    await assert.rejects(axios.get(`${harness.bridgeUrl}/health`));
+  } finally {
+    await new Promise((resolve) => probe.close(resolve));
+    await harness.stop();
+  }
+});
@@ -0,0 +1,71 @@
+// test/sitemap.test.js
+// A large crawler-trap sitemap is built a slice at a time, without holding up other
+// requests. Its own file, so routes/index.js loads with this TRAP_CONFIG.
+var test = require('node:test');
+var assert = require('node:assert/strict');
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var axios = require('axios');
+var express = require('express');
+var trapMode = require('../trap');
+
+var dir = fs.mkdtempSync(path.join(os.tmpdir(), 'pushy-sitemap-'));
+process.env.TRAP_CONFIG = path.join(dir, 'trap.json');
+fs.writeFileSync(process.env.TRAP_CONFIG, JSON.stringify({sitemap: {urls: 3000}, visits: null}));
+
+var server;
+var baseUrl;
+
+test.before(function() {
+  var app = express();
+  app.use(require('../routes/index'));
+  return new Promise(function(resolve) {
+    server = app.listen(0, '127.0.0.1', function() {
+      baseUrl = 'http://127.0.0.1:' + server.address().port;
+      resolve();
+    });
+  });
+});
+
+test.after(function() {
+  fs.rmSync(dir, {recursive: true, force: true});
+  return new Promise(function(resolve) { server.close(resolve); });
+});
+
+function get(urlPath, host) {
+  return axios.get(baseUrl + urlPath, {headers: {Host: host}});
+}
+
+test('pages are served while a sitemap builds', function() {
+  var order = [];
+  var sitemap = get('/sitemap.xml', 'slow.example.com').then(function(res) {
+    order.push('sitemap');
+    return res;
+  });
+  var page = new Promise(function(resolve) { setTimeout(resolve, 20); }).then(function() {
+    return get('/?format=json', 'other.example.com');
+  }).then(function() {
+    order.push('page');
+  });
+
+  return Promise.all([sitemap, page]).then(function(results) {
+    assert.deepEqual(order, ['page', 'sitemap']);
+    assert.equal(results[0].data.match(/<loc>/g).length, 3000);
+  });
+});
+
+test('requests during a build share it and get the same sitemap', function() {
+  return Promise.all([
+    get('/sitemap.xml', 'shared.example.com'),
+    get('/sitemap.xml', 'shared.example.com')
+  ]).then(function(responses) {
+    assert.equal(responses[1].data, responses[0].data);
+  });
+});
+
+test('sitemap.urls is capped at 10000', function() {
+  assert.throws(function() {
+    trapMode.validateTrapConfig(Object.assign({}, trapMode.DEFAULTS, {sitemap: {urls: 10001}}));
+  }, /sitemap.urls must be from 1 to 10000/);
+});
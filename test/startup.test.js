@@ -0,0 +1,60 @@
+// test/startup.test.js
+// listen() must not accept traffic before the routing table is loaded. The destinations
+// file is a named pipe here, so the test decides when its contents arrive.
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { execFileSync } = require("child_process");
+const { createBridge } = require("../lib/bridge");
+const { createFakeAva, sendPush } = require("../harness");
+
+const PUSH_SECRET = "startup-push-secret";
+
+test("loads the destinations before it starts serving", { skip: process.platform === "win32" }, async () => {
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "pushy-startup-"));
+  const destinationsFile = path.join(dataDir, "destinations.json");
+  execFileSync("mkfifo", [destinationsFile]);
+
+  const ava = createFakeAva();
+  const avaUrl = await ava.listen();
+  const bridge = createBridge({
+    env: {
+      LOG_LEVEL: "error",
+      PODIO_PUSH_SECRET: PUSH_SECRET,
+      DESTINATIONS_CONFIG: destinationsFile,
+      DELIVERY_QUEUE_PATH: path.join(dataDir, "deliveries.json"),
+      EVENT_JOURNAL_PATH: path.join(dataDir, "events.jsonl"),
+      SUBS_STORE_PATH: path.join(dataDir, "subscriptions.json"),
+      API_KEYS_CONFIG: path.join(dataDir, "api-keys.json")
+    }
+  });
+
+  try {
+    let listening = false;
+    const started = bridge.listen(0).then((server) => {
+      listening = true;
+      return server;
+    });
+
+    await new Promise((resolve) => setTimeout(resolve, 200));
+    assert.equal(listening, false);
+    assert.equal(bridge.server(), null);
+
+    const destinations = [{ id: "tasks", url: `${avaUrl}/tasks`, filter: { channels: ["/task/*"] } }];
+    await fs.promises.writeFile(destinationsFile, JSON.stringify({ destinations }));
+    const server = await started;
+
+    const res = await sendPush(`http://127.0.0.1:${server.address().port}/podio/push`, { type: "task.update", task_id: 1 }, {
+      secret: PUSH_SECRET
+    });
+    assert.equal(res.status, 200);
+    const delivery = await ava.waitFor((req) => req.body.channel === "/task/1");
+    assert.equal(delivery.path, "/tasks");
+  } finally {
+    await bridge.shutdown("test");
+    await ava.close();
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,70 @@
+// test/subscriptionsRouter.test.js
+// The admin subscriptions router against an in-memory registry.
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const express = require("express");
+const axios = require("axios");
+const { createSubscriptionsRouter } = require("../lib/routes/subscriptions");
+
+const records = new Map();
+let failing = false;
+let server;
+let client;
+
+const registry = {
+  list: async () => {
+    if (failing) throw new Error("store unavailable");
+    return [...records.values()];
+  },
+  get: async (channel) => records.get(channel) || null,
+  stop: async (channel) => records.delete(channel)
+};
+
+before(async () => {
+  const app = express();
+  app.use("/subscriptions", createSubscriptionsRouter({ registry }));
+  await new Promise((resolve) => {
+    server = app.listen(0, "127.0.0.1", resolve);
+  });
+  client = axios.create({ baseURL: `http://127.0.0.1:${server.address().port}`, validateStatus: () => true, timeout: 2000 });
+});
+
+after(() => new Promise((resolve) => server.close(resolve)));
+
+function seed(...channels) {
+  records.clear();
+  for (const channel of channels) records.set(channel, { channel, state: "active" });
+}
+
+test("lists and inspects subscriptions", async () => {
+  seed("/task/2", "/item/1", "/task/1");
+  const list = await client.get("/subscriptions?prefix=/task/&limit=1&offset=1");
+  assert.deepEqual(list.data, { total: 2, limit: 1, offset: 1, subscriptions: [{ channel: "/task/2", state: "active" }] });
+
+  assert.equal((await client.get("/subscriptions/task/1")).data.channel, "/task/1");
+  assert.equal((await client.get("/subscriptions/%2Fitem%2F1")).data.channel, "/item/1");
+  assert.equal((await client.get("/subscriptions/task/9")).status, 404);
+});
+
+test("bulk-unsubscribes by prefix or everything", async () => {
+  seed("/task/1", "/task/2", "/item/1");
+  assert.equal((await client.delete("/subscriptions")).status, 400);
+
+  const byPrefix = await client.delete("/subscriptions?prefix=/task/");
+  assert.deepEqual(byPrefix.data.channels.sort(), ["/task/1", "/task/2"]);
+
+  const all = await client.delete("/subscriptions?all=true");
+  assert.deepEqual(all.data, { status: "unsubscribed", count: 1, channels: ["/item/1"], failed: [] });
+});
+
+test("answers 500 when the registry fails", async () => {
+  failing = true;
+  try {
+    for (const res of [await client.get("/subscriptions"), await client.delete("/subscriptions?all=true")]) {
+      assert.equal(res.status, 500);
+      assert.deepEqual(res.data, { error: "store unavailable" });
+    }
+  } finally {
+    failing = false;
+  }
+});
@@ -0,0 +1,85 @@
+// test/trap.test.js
+// Crawler-trap mode (TRAP_CONFIG). The config is read when routes/index.js is loaded,
+// so it is written and set before the router is required.
+var test = require('node:test');
+var assert = require('node:assert/strict');
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var axios = require('axios');
+var express = require('express');
+
+var dir = fs.mkdtempSync(path.join(os.tmpdir(), 'pushy-trap-'));
+process.env.TRAP_CONFIG = path.join(dir, 'trap.json');
+fs.writeFileSync(process.env.TRAP_CONFIG, JSON.stringify({
+  links: {min: 3, max: 3},
+  maxDepth: 2,
+  sitemap: {urls: 5}
+}));
+
+var server;
+var baseUrl;
+
+test.before(function() {
+  var app = express();
+  app.use(require('../routes/index'));
+  return new Promise(function(resolve) {
+    server = app.listen(0, '127.0.0.1', function() {
+      baseUrl = 'http://127.0.0.1:' + server.address().port;
+      resolve();
+    });
+  });
+});
+
+test.after(function() {
+  fs.rmSync(dir, {recursive: true, force: true});
+  return new Promise(function(resolve) { server.close(resolve); });
+});
+
+function get(urlPath, userAgent) {
+  return axios.get(baseUrl + urlPath, {headers: {Host: 'example.com', 'User-Agent': userAgent || 'test'}});
+}
+
+test('reports visits to percent-encoded paths', function() {
+  var agent = 'Mozilla/5.0 (compatible; Googlebot/2.1)';
+  return get('/caf%C3%A9?format=json', agent).then(function() {
+    return get('/api/visits/caf%C3%A9');
+  }).then(function(res) {
+    assert.equal(res.data.path, '/caf%C3%A9');
+    assert.equal(res.data.visitors.length, 1);
+    assert.equal(res.data.visitors[0].userAgent, agent);
+    assert.equal(res.data.visitors[0].crawler, true);
+    assert.equal(res.data.visitors[0].count, 1);
+  });
+});
+
+test('reports visits to the root page', function() {
+  return get('/?format=json', 'Mozilla/5.0 (X11; Linux x86_64)').then(function() {
+    return get('/api/visits/');
+  }).then(function(res) {
+    assert.equal(res.data.path, '/');
+    assert.equal(res.data.visitors[0].crawler, false);
+  });
+});
+
+test('pages link one level deeper, and only back up at maxDepth', function() {
+  return get('/?format=json').then(function(res) {
+    assert.equal(res.data.links.length, 3);
+    var child = res.data.links.filter(function(link) { return link.href !== '/'; })[0];
+    assert.match(child.href, /^\/[^/]+$/);
+    return get(child.href + '/deeper?format=json');
+  }).then(function(res) {
+    res.data.links.forEach(function(link) {
+      assert.ok(link.href.split('/').filter(Boolean).length < 2, link.href);
+    });
+  });
+});
+
+test('sitemap.xml lists sitemap.urls pages and is the same on every request', function() {
+  return Promise.all([get('/sitemap.xml'), get('/sitemap.xml')]).then(function(responses) {
+    var urls = responses[0].data.match(/<loc>[^<]*<\/loc>/g);
+    assert.equal(urls.length, 5);
+    assert.equal(urls[0], '<loc>http://example.com/</loc>');
+    assert.equal(responses[1].data, responses[0].data);
+  });
+});
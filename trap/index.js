@@ -0,0 +1,171 @@
+var fs = require('fs');
+
+// Crawler-trap mode, configured by the JSON file in TRAP_CONFIG (see trap.example.json).
+// Every key is optional:
+//
+//   links          {min, max}   links per page (fan-out)
+//   maxDepth       n            pages this many path segments deep only link back up
+//   loopBackShare  0..1         share of links that point back to an earlier page
+//   latencyMs      {min, max}   delay before each response
+//   tarpit         {chunkBytes, intervalMs} or null: dribble HTML out in small chunks
+//   robots         {rules: [{userAgent, allow, disallow}], crawlDelay}
+//   sitemap        {urls}       how many pages sitemap.xml lists
+//   visits         {maxPages, maxAgents} or null: track user-agents per page
+var DEFAULTS = {
+  links: {min: 5, max: 14},
+  maxDepth: 8,
+  loopBackShare: 0.2,
+  latencyMs: {min: 0, max: 0},
+  tarpit: null,
+  robots: {rules: [{userAgent: '*', allow: [], disallow: []}], crawlDelay: null},
+  sitemap: {urls: 100},
+  visits: {maxPages: 10000, maxAgents: 50}
+};
+
+var CRAWLER = /bot|crawl|spider|slurp|archiver|fetch|scrap|curl|wget|python|java\/|go-http|httpclient|headless/i;
+
+function isRange(range, max) {
+  return range && Number.isInteger(range.min) && Number.isInteger(range.max) &&
+    range.min >= 0 && range.max >= range.min && range.max <= max;
+}
+
+function isCount(value, min, max) {
+  return Number.isInteger(value) && value >= min && value <= max;
+}
+
+// Throws an Error naming the first invalid key
+function validateTrapConfig(config) {
+  if (!isRange(config.links, 100)) throw new Error('links must be {min, max} within 0-100');
+  if (!isCount(config.maxDepth, 1, 100)) throw new Error('maxDepth must be an integer from 1 to 100');
+  if (typeof config.loopBackShare !== 'number' || config.loopBackShare < 0 || config.loopBackShare > 1) {
+    throw new Error('loopBackShare must be a number from 0 to 1');
+  }
+  if (!isRange(config.latencyMs, 60000)) throw new Error('latencyMs must be {min, max} within 0-60000');
+  if (config.tarpit !== null &&
+    !(config.tarpit && isCount(config.tarpit.chunkBytes, 1, 65536) && isCount(config.tarpit.intervalMs, 1, 60000))) {
+    throw new Error('tarpit must be null or {chunkBytes: 1-65536, intervalMs: 1-60000}');
+  }
+  var robots = config.robots;
+  if (!robots || !Array.isArray(robots.rules) || !robots.rules.every(function(rule) {
+    return rule && typeof rule.userAgent === 'string' &&
+      ['allow', 'disallow'].every(function(key) {
+        return rule[key] === undefined || (Array.isArray(rule[key]) && rule[key].every(function(p) { return typeof p === 'string'; }));
+      });
+  })) {
+    throw new Error('robots.rules must be a list of {userAgent, allow?: [paths], disallow?: [paths]}');
+  }
+  if (robots.crawlDelay != null && !isCount(robots.crawlDelay, 0, 3600)) {
+    throw new Error('robots.crawlDelay must be an integer from 0 to 3600');
+  }
+  if (!config.sitemap || !isCount(config.sitemap.urls, 1, 10000)) throw new Error('sitemap.urls must be from 1 to 10000');
+  if (config.visits !== null &&
+    !(config.visits && isCount(config.visits.maxPages, 1, 1000000) && isCount(config.visits.maxAgents, 1, 10000))) {
+    throw new Error('visits must be null or {maxPages, maxAgents}');
+  }
+}
+
+function loadTrapConfig(file) {
+  var config;
+  try {
+    config = Object.assign({}, DEFAULTS, JSON.parse(fs.readFileSync(file, 'utf8')));
+    validateTrapConfig(config);
+  } catch (err) {
+    err.message = 'TRAP_CONFIG ' + file + ': ' + err.message;
+    throw err;
+  }
+  return config;
+}
+
+function robotsTxt(config, baseUrl) {
+  var lines = [];
+  config.robots.rules.forEach(function(rule) {
+    lines.push('User-agent: ' + rule.userAgent);
+    (rule.allow || []).forEach(function(p) { lines.push('Allow: ' + p); });
+    var disallow = rule.disallow || [];
+    if (!disallow.length && !(rule.allow || []).length) lines.push('Disallow:');
+    disallow.forEach(function(p) { lines.push('Disallow: ' + p); });
+    if (config.robots.crawlDelay != null) lines.push('Crawl-delay: ' + config.robots.crawlDelay);
+    lines.push('');
+  });
+  lines.push('Sitemap: ' + baseUrl + '/sitemap.xml');
+  return lines.join('\n') + '\n';
+}
+
+function escapeXml(text) {
+  return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+function sitemapXml(urls) {
+  return '<?xml version="1.0" encoding="UTF-8"?>\n' +
+    '<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">\n' +
+    urls.map(function(url) { return '  <url><loc>' + escapeXml(url) + '</loc></url>\n'; }).join('') +
+    '</urlset>\n';
+}
+
+// Sends `body` chunkBytes at a time, one chunk every intervalMs, until done or the client leaves
+function tarpit(res, body, options) {
+  var buffer = Buffer.from(body);
+  var offset = 0;
+  res.set('Content-Length', String(buffer.length));
+
+  var timer = setInterval(function() {
+    res.write(buffer.subarray(offset, offset + options.chunkBytes));
+    offset += options.chunkBytes;
+    if (offset >= buffer.length) {
+      clearInterval(timer);
+      res.end();
+    }
+  }, options.intervalMs);
+  res.on('close', function() { clearInterval(timer); });
+}
+
+// In-memory user-agents per path; the least recently visited page goes first when full
+function createVisitLog(options) {
+  var pages = new Map(); // path -> Map(userAgent -> {count, firstSeen, lastSeen})
+
+  function record(path, userAgent) {
+    userAgent = userAgent || '(none)';
+    var agents = pages.get(path);
+    if (agents) pages.delete(path);
+    else agents = new Map();
+    pages.set(path, agents);
+    if (pages.size > options.maxPages) pages.delete(pages.keys().next().value);
+
+    var now = new Date().toISOString();
+    var visit = agents.get(userAgent);
+    if (!visit) {
+      if (agents.size >= options.maxAgents) return;
+      visit = {count: 0, firstSeen: now, lastSeen: now};
+      agents.set(userAgent, visit);
+    }
+    visit.count++;
+    visit.lastSeen = now;
+  }
+
+  function report(path) {
+    var agents = pages.get(path) || new Map();
+    var visitors = [];
+    agents.forEach(function(visit, userAgent) {
+      visitors.push({
+        userAgent: userAgent,
+        crawler: CRAWLER.test(userAgent),
+        count: visit.count,
+        firstSeen: visit.firstSeen,
+        lastSeen: visit.lastSeen
+      });
+    });
+    return {path: path, visitors: visitors};
+  }
+
+  return {record: record, report: report};
+}
+
+module.exports = {
+  loadTrapConfig: loadTrapConfig,
+  validateTrapConfig: validateTrapConfig,
+  robotsTxt: robotsTxt,
+  sitemapXml: sitemapXml,
+  tarpit: tarpit,
+  createVisitLog: createVisitLog,
+  DEFAULTS: DEFAULTS
+};